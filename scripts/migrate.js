@@ -0,0 +1,49 @@
+// scripts/migrate.js — Apply or inspect schema migrations without starting the app
+//
+//   node scripts/migrate.js --status [--db path/to/copy.db]
+//   node scripts/migrate.js --migrate [--db path/to/copy.db]
+//
+// Defaults to data/shops.db. Point --db at a copy to rehearse a migration first:
+//   cp data/shops.db /tmp/shops.copy.db && node scripts/migrate.js --migrate --db /tmp/shops.copy.db
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { migrationStatus, runMigrations } from "../server/migrations.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+
+const dbFlag = args.indexOf("--db");
+const dbPath = dbFlag !== -1 ? path.resolve(args[dbFlag + 1] || "") : path.join(__dirname, "..", "data", "shops.db");
+const mode = args.includes("--migrate") ? "migrate" : args.includes("--status") ? "status" : null;
+
+if (!mode || (dbFlag !== -1 && !args[dbFlag + 1])) {
+  console.error("Usage: node scripts/migrate.js <--status|--migrate> [--db <file>]");
+  process.exit(1);
+}
+if (!fs.existsSync(dbPath) && mode === "status") {
+  console.error(`❌ Database not found: ${dbPath}`);
+  process.exit(1);
+}
+
+const db = new Database(dbPath);
+try {
+  if (mode === "migrate") runMigrations(db);
+
+  const status = migrationStatus(db);
+  console.log(`Database: ${dbPath}`);
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+  for (const m of status.migrations) {
+    const when = m.appliedAt ? `applied ${new Date(m.appliedAt * 1000).toISOString()}` : "pending";
+    console.log(`  ${String(m.version).padStart(3, "0")}_${m.name}  ${when}`);
+  }
+  for (const r of status.unknown) {
+    console.log(`  ${String(r.version).padStart(3, "0")}_${r.name}  applied by a newer build`);
+  }
+} catch (e) {
+  console.error("❌ Migration failed (no changes were committed):", e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,27 @@
+// scripts/pixel-extension.js — Generate the web pixel extension from the checkout pixel code
+//
+//   node scripts/pixel-extension.js [--out extensions/analyticsgtm-pixel]
+//
+// Re-run after changing server/payloads/pixel-events.js or web-pixel-extension.js, then deploy with the Shopify CLI.
+import path from "path";
+import { fileURLToPath } from "url";
+import { PIXEL_EXTENSION_NAME, writePixelExtension } from "../server/pixel-extension.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+
+const outFlag = args.indexOf("--out");
+if (outFlag !== -1 && !args[outFlag + 1]) {
+  console.error("Usage: node scripts/pixel-extension.js [--out <dir>]");
+  process.exit(1);
+}
+const outDir = outFlag !== -1 ? path.resolve(args[outFlag + 1]) : path.join(__dirname, "..", "extensions", PIXEL_EXTENSION_NAME);
+
+try {
+  for (const file of writePixelExtension(outDir)) {
+    console.log(`✅ ${path.relative(process.cwd(), file)}`);
+  }
+} catch (e) {
+  console.error("❌ Pixel extension build failed:", e.message);
+  process.exitCode = 1;
+}
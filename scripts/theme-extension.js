@@ -0,0 +1,27 @@
+// scripts/theme-extension.js — Generate the theme app extension (app embed block) from server/theme-code.js
+//
+//   node scripts/theme-extension.js [--out extensions/analyticsgtm-theme]
+//
+// Re-run after changing the GTM loader or the DataLayer snippet, then deploy with the Shopify CLI.
+import path from "path";
+import { fileURLToPath } from "url";
+import { THEME_EXTENSION_NAME, writeThemeExtension } from "../server/theme-extension.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+
+const outFlag = args.indexOf("--out");
+if (outFlag !== -1 && !args[outFlag + 1]) {
+  console.error("Usage: node scripts/theme-extension.js [--out <dir>]");
+  process.exit(1);
+}
+const outDir = outFlag !== -1 ? path.resolve(args[outFlag + 1]) : path.join(__dirname, "..", "extensions", THEME_EXTENSION_NAME);
+
+try {
+  for (const file of writeThemeExtension(outDir)) {
+    console.log(`✅ ${path.relative(process.cwd(), file)}`);
+  }
+} catch (e) {
+  console.error("❌ Theme extension build failed:", e.message);
+  process.exitCode = 1;
+}
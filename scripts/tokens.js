@@ -0,0 +1,26 @@
+// scripts/tokens.js — Access token (and settings secret) encryption maintenance
+//
+//   npm run tokens:encrypt   encrypt rows still holding a plaintext token
+//   npm run tokens:rotate    re-wrap all tokens with the current TOKEN_ENCRYPTION_KEY
+//                            (set TOKEN_ENCRYPTION_KEY_PREVIOUS to the old key while rotating)
+import { encryptStoredTokens, rotateTokenKey, closeDatabase } from "../server/database.js";
+
+const command = process.argv[2];
+
+try {
+  if (command === "encrypt") {
+    const { total, encrypted } = encryptStoredTokens();
+    console.log(`✅ Encrypted ${encrypted} of ${total} stored token(s) and secret(s)`);
+  } else if (command === "rotate") {
+    const { total, rotated } = rotateTokenKey();
+    console.log(`✅ Re-wrapped ${rotated} of ${total} stored token(s) and secret(s) with the current key`);
+  } else {
+    console.error("Usage: node scripts/tokens.js <encrypt|rotate>");
+    process.exitCode = 1;
+  }
+} catch (e) {
+  console.error("❌", e.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
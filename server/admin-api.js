@@ -0,0 +1,242 @@
+// server/admin-api.js — Shopify Admin API client (REST + GraphQL): rate limiting, retries, typed errors
+//
+// Every call to a shop's Admin API goes through here. The API version comes from
+// SHOPIFY_API_VERSION (default below) so upgrading it is a config change.
+//
+// Shopify's REST limit is a leaky bucket per shop (40 calls, leaking 2/s; 80 and 4/s on Plus).
+// We mirror it locally from X-Shopify-Shop-Api-Call-Limit so bulk jobs wait instead of
+// hitting 429s, honor Retry-After when throttled anyway, and retry idempotent calls on
+// 5xx / network errors with jittered exponential backoff.
+import nodeFetch from "node-fetch";
+import { log } from "./logger.js";
+
+const fetch = globalThis.fetch || nodeFetch;
+
+export const API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-10";
+const REQUEST_TIMEOUT_MS = 25000;
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 500;
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+/* ---------- Typed errors ---------- */
+
+export class ShopifyApiError extends Error {
+  constructor(message, { status = null, shop, method, path, body = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.shop = shop;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+// 401 / 403: token revoked or missing scopes
+export class ShopifyAuthError extends ShopifyApiError {}
+// 404: resource (theme, asset, endpoint) doesn't exist
+export class ShopifyNotFoundError extends ShopifyApiError {}
+// 429 still returned after every retry
+export class ShopifyThrottledError extends ShopifyApiError {}
+// 400 / 422: Shopify rejected the payload (`body.errors` has the details)
+export class ShopifyValidationError extends ShopifyApiError {}
+
+function errorFor(status, message, details) {
+  if (status === 401 || status === 403) return new ShopifyAuthError(message, details);
+  if (status === 404) return new ShopifyNotFoundError(message, details);
+  if (status === 429) return new ShopifyThrottledError(message, details);
+  if (status === 400 || status === 422) return new ShopifyValidationError(message, details);
+  return new ShopifyApiError(message, details);
+}
+
+/* ---------- Per-shop leaky bucket ---------- */
+
+const buckets = new Map(); // shop -> { used, capacity, leakRate, updatedAt, tail }
+
+function bucketFor(shop) {
+  if (!buckets.has(shop)) {
+    buckets.set(shop, { used: 0, capacity: 40, leakRate: 2, updatedAt: Date.now(), tail: Promise.resolve() });
+  }
+  return buckets.get(shop);
+}
+
+function leak(bucket) {
+  const now = Date.now();
+  bucket.used = Math.max(0, bucket.used - ((now - bucket.updatedAt) / 1000) * bucket.leakRate);
+  bucket.updatedAt = now;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait for room in the shop's bucket (callers queue up in order)
+function takeSlot(shop) {
+  const bucket = bucketFor(shop);
+  const turn = bucket.tail.then(async () => {
+    leak(bucket);
+    const over = bucket.used + 1 - (bucket.capacity - 1); // keep one call of headroom
+    if (over > 0) {
+      const waitMs = Math.ceil((over / bucket.leakRate) * 1000);
+      log.debug("Shopify rate limit: waiting for bucket", { shop, waitMs, used: bucket.used });
+      await sleep(waitMs);
+      leak(bucket);
+    }
+    bucket.used += 1;
+  });
+  bucket.tail = turn.catch(() => {});
+  return turn;
+}
+
+// "32/40" → sync our estimate with Shopify's
+function syncBucket(shop, header) {
+  const m = /^(\d+)\/(\d+)$/.exec(header || "");
+  if (!m) return;
+  const bucket = bucketFor(shop);
+  bucket.used = Number(m[1]);
+  bucket.capacity = Number(m[2]);
+  bucket.leakRate = bucket.capacity / 20;
+  bucket.updatedAt = Date.now();
+}
+
+/* ---------- Retries ---------- */
+
+function backoffMs(attempt) {
+  return Math.round(Math.random() * BACKOFF_BASE_MS * 2 ** attempt); // full jitter
+}
+
+// Retry-After is seconds (Shopify sends e.g. "2.0")
+function retryAfterMs(res) {
+  const seconds = parseFloat(res.headers.get("retry-after"));
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+function errorMessage(status, path, rawText, parsed) {
+  if (status === 401 || status === 403) return `Unauthorized (${status}): Invalid API key or access token`;
+  if (status === 404 && /\/themes\/.+\/assets\.json/i.test(path)) {
+    return `Theme asset endpoint returned 404. সম্ভবত: write permission নাই বা theme file unavailable. (${rawText})`;
+  }
+  if (parsed && parsed.errors) return `Shopify ${status} ${JSON.stringify(parsed.errors)}`;
+  return `Shopify ${status} ${rawText}`;
+}
+
+/* ---------- Request ---------- */
+
+// REST call against /admin/api/<version><path>. Resolves to the parsed JSON body;
+// rejects with one of the typed errors above.
+export function shopifyFetch(shop, accessToken, path, opts = {}) {
+  return request(shop, accessToken, `/admin/api/${API_VERSION}${path}`, path, opts);
+}
+
+// Scopes actually granted to the stored token (unversioned OAuth endpoint)
+export async function getAccessScopes(shop, accessToken) {
+  const { access_scopes: scopes = [] } = await request(shop, accessToken, "/admin/oauth/access_scopes.json", "/oauth/access_scopes.json", { method: "GET" });
+  return scopes.map((s) => s.handle);
+}
+
+async function request(shop, accessToken, urlPath, path, opts = {}) {
+  const method = (opts.method || "GET").toUpperCase();
+  const url = `https://${shop}${urlPath}`;
+  const idempotent = opts.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const details = { shop, method, path };
+
+  log.shopify.apiCall(method, path, shop);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!opts.skipBucket) await takeSlot(shop);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), opts.timeout || REQUEST_TIMEOUT_MS);
+    let res;
+    try {
+      res = await fetch(url, {
+        method,
+        body: opts.body,
+        headers: {
+          "X-Shopify-Access-Token": accessToken,
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          ...(opts.headers || {}),
+        },
+        signal: controller.signal,
+      });
+    } catch (e) {
+      // Network error / timeout: only safe to repeat idempotent calls
+      clearTimeout(timeout);
+      const reason = e.name === "AbortError" ? "timed out" : e.message;
+      if (idempotent && attempt < MAX_RETRIES) {
+        const waitMs = backoffMs(attempt);
+        log.warn(`Shopify API ${reason}, retrying`, { shop, method, path, attempt: attempt + 1, waitMs });
+        await sleep(waitMs);
+        continue;
+      }
+      const error = new ShopifyApiError(`Shopify request failed: ${reason}`, details);
+      log.shopify.apiError(method, path, shop, error);
+      throw error;
+    }
+
+    try {
+      syncBucket(shop, res.headers.get("x-shopify-shop-api-call-limit"));
+
+      if (res.ok) {
+        const text = await res.text();
+        return text ? JSON.parse(text) : {};
+      }
+
+      const rawText = await res.text();
+      let parsed = null;
+      try { parsed = JSON.parse(rawText); } catch (_) {}
+
+      // 429: the call was not processed, so any method may be retried
+      const retryable = res.status === 429 || (res.status >= 500 && idempotent);
+      if (retryable && attempt < MAX_RETRIES) {
+        const waitMs = (res.status === 429 && retryAfterMs(res)) || backoffMs(attempt);
+        log.warn(`Shopify API ${res.status}, retrying`, { shop, method, path, attempt: attempt + 1, waitMs });
+        await sleep(waitMs);
+        continue;
+      }
+
+      const error = errorFor(res.status, errorMessage(res.status, path, rawText, parsed), { ...details, status: res.status, body: parsed });
+      log.shopify.apiError(method, path, shop, error);
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+/* ---------- GraphQL ---------- */
+
+// GraphQL has its own cost-based bucket: on THROTTLED, wait until enough points are restored.
+// Resolves to `data`; top-level `errors` reject (mutation `userErrors` are left to the caller).
+export async function shopifyGraphql(shop, accessToken, query, variables = {}) {
+  const operation = (/^\s*(query|mutation)\s+(\w+)/.exec(query) || [])[2] || "graphql";
+  for (let attempt = 0; ; attempt++) {
+    const json = await request(shop, accessToken, `/admin/api/${API_VERSION}/graphql.json`, `/graphql.json (${operation})`, {
+      method: "POST",
+      body: JSON.stringify({ query, variables }),
+      idempotent: /^\s*query\b/.test(query) || !/^\s*mutation\b/.test(query),
+      skipBucket: true,
+    });
+
+    const errors = json.errors || [];
+    if (!errors.length) return json.data;
+
+    const throttled = errors.some((e) => e.extensions?.code === "THROTTLED");
+    if (throttled && attempt < MAX_RETRIES) {
+      const status = json.extensions?.cost?.throttleStatus;
+      const needed = (json.extensions?.cost?.requestedQueryCost || 50) - (status?.currentlyAvailable || 0);
+      const waitMs = Math.max(1000, Math.ceil((needed / (status?.restoreRate || 50)) * 1000));
+      log.warn("Shopify GraphQL throttled, retrying", { shop, operation, attempt: attempt + 1, waitMs });
+      await sleep(waitMs);
+      continue;
+    }
+
+    const message = `Shopify GraphQL ${operation}: ${errors.map((e) => e.message).join("; ")}`;
+    const error = throttled
+      ? new ShopifyThrottledError(message, { shop, method: "POST", path: "/graphql.json", body: errors })
+      : errors.some((e) => e.extensions?.code === "ACCESS_DENIED")
+        ? new ShopifyAuthError(message, { shop, method: "POST", path: "/graphql.json", body: errors })
+        : new ShopifyValidationError(message, { shop, method: "POST", path: "/graphql.json", body: errors });
+    log.shopify.apiError("POST", `/graphql.json (${operation})`, shop, error);
+    throw error;
+  }
+}
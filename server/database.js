@@ -3,6 +3,13 @@ import Database from "better-sqlite3";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { runMigrations } from "./migrations.js";
+import { encryptToken, decryptToken, rewrapToken, isEncrypted, hasEncryptionKey } from "./tokens.js";
+
+// DB_DEBUG / TOKEN_ENCRYPTION_KEY are read while this module initializes
+dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,34 +20,35 @@ if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-const DB_PATH = path.join(DATA_DIR, "shops.db");
+// DATABASE_PATH overrides it (":memory:" in tests)
+const DB_PATH = process.env.DATABASE_PATH || path.join(DATA_DIR, "shops.db");
 
 // Initialize database
 let db;
 
+// SQL tracing (DB_DEBUG=1). better-sqlite3 inlines bound values, so statements touching
+// the shops / sessions tables (access tokens) or shop_settings (the GA4 API secret, stored
+// in plaintext while TOKEN_ENCRYPTION_KEY is unset) are never echoed.
+const SECRET_SQL_RE = /\bshops\b|\bsessions\b|\bshop_settings\b|access_token/i;
+
+function traceSql(sql) {
+  const table = SECRET_SQL_RE.exec(sql);
+  if (table) {
+    console.log(`[sql] <statement on ${table[0].toLowerCase()} redacted>`);
+    return;
+  }
+  console.log("[sql]", sql.trim());
+}
+
 export function initDatabase() {
   if (db) return db; // already initialized
 
   try {
     // open (better-sqlite3 is synchronous)
-    db = new Database(DB_PATH, { verbose: console.log });
-
-    // Create shops table if missing
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS shops (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        shop TEXT UNIQUE NOT NULL,
-        access_token TEXT NOT NULL,
-        scope TEXT,
-        installed_at INTEGER DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
+    db = new Database(DB_PATH, process.env.DB_DEBUG ? { verbose: traceSql } : {});
 
-    // index
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_shop ON shops(shop)
-    `);
+    // Create / evolve the schema (see server/migrations.js)
+    runMigrations(db);
 
     console.log("✅ Database initialized successfully at", DB_PATH);
     return db;
@@ -55,40 +63,115 @@ initDatabase();
 
 // --- Public API (async-friendly) ---
 
-// Get shop credentials
+// Token as stored: encrypted when TOKEN_ENCRYPTION_KEY is set (required in production)
+let warnedPlaintext = false;
+function sealToken(accessToken) {
+  if (hasEncryptionKey()) return encryptToken(accessToken);
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("TOKEN_ENCRYPTION_KEY must be set to store access tokens in production");
+  }
+  if (!warnedPlaintext) {
+    console.warn("⚠️ TOKEN_ENCRYPTION_KEY not set - access tokens are stored unencrypted (development only)");
+    warnedPlaintext = true;
+  }
+  return accessToken;
+}
+
+// Expiring offline tokens are refreshed this long before they run out
+const TOKEN_REFRESH_MARGIN_S = 300;
+
+// Refreshes an expiring offline token: (shop, refreshToken) → { accessToken, scope, expiresAt,
+// refreshToken, refreshTokenExpiresAt }. Registered by server/oauth.js (keeps this module offline).
+let offlineTokenRefresher = null;
+export function setOfflineTokenRefresher(fn) {
+  offlineTokenRefresher = fn;
+}
+
+const refreshing = new Map(); // shop -> in-flight refresh (refresh tokens are single-use)
+
+// Row as callers see it: token decrypted, refresh token never handed out
+function publicShop(row) {
+  const { refresh_token: _refreshToken, ...shop } = row;
+  return { ...shop, access_token: decryptToken(row.access_token) };
+}
+
+function needsRefresh(row) {
+  if (!row.access_token_expires_at || !row.refresh_token || !offlineTokenRefresher) return false;
+  const now = Math.floor(Date.now() / 1000);
+  if (row.refresh_token_expires_at && row.refresh_token_expires_at <= now) return false;
+  return row.access_token_expires_at - TOKEN_REFRESH_MARGIN_S <= now;
+}
+
+function refreshShopToken(row) {
+  if (!refreshing.has(row.shop)) {
+    const refresh = (async () => {
+      try {
+        const next = await offlineTokenRefresher(row.shop, decryptToken(row.refresh_token));
+        await saveShop(row.shop, next.accessToken, next.scope || row.scope, next);
+        console.info("🔄 Refreshed offline access token for", row.shop);
+        return publicShop(db.prepare("SELECT * FROM shops WHERE shop = ?").get(row.shop));
+      } catch (err) {
+        // Keep serving the stored token: calls fail with 401 until the merchant reopens the app
+        console.error("Offline token refresh failed:", row.shop, err.message);
+        return publicShop(row);
+      } finally {
+        refreshing.delete(row.shop);
+      }
+    })();
+    refreshing.set(row.shop, refresh);
+  }
+  return refreshing.get(row.shop);
+}
+
+// Get shop credentials (access_token is returned decrypted; an expiring one is refreshed first)
 export async function getShop(shopDomain) {
   if (!db) initDatabase();
   const stmt = db.prepare("SELECT * FROM shops WHERE shop = ?");
-  return stmt.get(shopDomain) || null;
+  const row = stmt.get(shopDomain);
+  if (!row) return null;
+  if (needsRefresh(row)) return refreshShopToken(row);
+  return publicShop(row);
 }
 
-// Save or update shop credentials
-export async function saveShop(shopDomain, accessToken, scope = "") {
+// Save or update shop credentials. Non-expiring tokens clear the expiry / refresh columns.
+export async function saveShop(shopDomain, accessToken, scope = "", { expiresAt = null, refreshToken = null, refreshTokenExpiresAt = null } = {}) {
   if (!db) initDatabase();
 
   try {
     const stmt = db.prepare(`
-      INSERT INTO shops (shop, access_token, scope, updated_at)
-      VALUES (?, ?, ?, strftime('%s', 'now'))
+      INSERT INTO shops (shop, access_token, scope, access_token_expires_at, refresh_token, refresh_token_expires_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
       ON CONFLICT(shop) DO UPDATE SET
         access_token = excluded.access_token,
         scope = excluded.scope,
+        access_token_expires_at = excluded.access_token_expires_at,
+        refresh_token = excluded.refresh_token,
+        refresh_token_expires_at = excluded.refresh_token_expires_at,
         updated_at = strftime('%s', 'now')
     `);
-    const result = stmt.run(shopDomain, accessToken, scope);
+    const result = stmt.run(
+      shopDomain,
+      sealToken(accessToken),
+      scope,
+      expiresAt,
+      refreshToken ? sealToken(refreshToken) : null,
+      refreshTokenExpiresAt
+    );
     return result.changes > 0;
   } catch (err) {
-    console.error("saveShop error:", err);
+    console.error("saveShop error:", err.message);
     throw err;
   }
 }
 
-// Delete shop (on uninstall)
+// Delete shop (on uninstall), with its online sessions
 export async function deleteShop(shopDomain) {
   if (!db) initDatabase();
   try {
-    const stmt = db.prepare("DELETE FROM shops WHERE shop = ?");
-    const result = stmt.run(shopDomain);
+    const result = db.transaction(() => {
+      db.prepare("DELETE FROM sessions WHERE shop = ?").run(shopDomain);
+      return db.prepare("DELETE FROM shops WHERE shop = ?").run(shopDomain);
+    })();
     return result.changes > 0;
   } catch (err) {
     console.error("deleteShop error:", err);
@@ -96,6 +179,51 @@ export async function deleteShop(shopDomain) {
   }
 }
 
+// --- Online sessions (per staff user; the offline token is shops.access_token) ---
+
+const onlineSessionId = (shopDomain, userId) => `${shopDomain}_${userId}`;
+
+// Save or replace a user's online token (sealed like the offline one)
+export async function saveOnlineSession(shopDomain, { userId, accessToken, scope = "", expiresAt = null, user = null }) {
+  if (!db) initDatabase();
+  db.prepare(`
+    INSERT INTO sessions (id, shop, user_id, access_token, scope, expires_at, user_info, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+    ON CONFLICT(id) DO UPDATE SET
+      access_token = excluded.access_token,
+      scope = excluded.scope,
+      expires_at = excluded.expires_at,
+      user_info = excluded.user_info,
+      updated_at = strftime('%s', 'now')
+  `).run(
+    onlineSessionId(shopDomain, userId),
+    shopDomain,
+    String(userId),
+    sealToken(accessToken),
+    scope,
+    expiresAt,
+    user ? JSON.stringify(user) : null
+  );
+  return true;
+}
+
+// A user's online session, or null when there is none or it has expired
+export async function getOnlineSession(shopDomain, userId) {
+  if (!db) initDatabase();
+  const row = db.prepare("SELECT * FROM sessions WHERE id = ?").get(onlineSessionId(shopDomain, userId));
+  if (!row) return null;
+  if (row.expires_at && row.expires_at <= Math.floor(Date.now() / 1000)) return null;
+  return {
+    id: row.id,
+    shop: row.shop,
+    userId: row.user_id,
+    accessToken: decryptToken(row.access_token),
+    scope: row.scope,
+    expiresAt: row.expires_at,
+    user: row.user_info ? JSON.parse(row.user_info) : null,
+  };
+}
+
 // Get all shops (for admin/debugging)
 export async function getAllShops() {
   if (!db) initDatabase();
@@ -111,6 +239,457 @@ export async function shopExists(shopDomain) {
   return result.count > 0;
 }
 
+// Secrets inside the settings JSON, sealed like access tokens: [section, key]
+const SETTINGS_SECRETS = [["ga4", "apiSecret"]];
+
+// Apply `fn` to every non-empty secret of a settings object (returns a copy)
+function mapSettingsSecrets(settings, fn) {
+  const out = { ...settings };
+  for (const [section, key] of SETTINGS_SECRETS) {
+    if (out[section]?.[key]) out[section] = { ...out[section], [key]: fn(out[section][key]) };
+  }
+  return out;
+}
+
+// Get stored settings for a shop (parsed JSON, secrets decrypted) or null
+export async function getShopSettings(shopDomain) {
+  if (!db) initDatabase();
+  const row = db.prepare("SELECT settings FROM shop_settings WHERE shop = ?").get(shopDomain);
+  if (!row) return null;
+  try {
+    return mapSettingsSecrets(JSON.parse(row.settings), decryptToken);
+  } catch (err) {
+    console.error("getShopSettings: invalid JSON for", shopDomain, err);
+    return null;
+  }
+}
+
+// Save or replace settings for a shop (secrets are sealed)
+export async function saveShopSettings(shopDomain, settings) {
+  if (!db) initDatabase();
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO shop_settings (shop, settings, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+      ON CONFLICT(shop) DO UPDATE SET
+        settings = excluded.settings,
+        updated_at = strftime('%s', 'now')
+    `);
+    const result = stmt.run(shopDomain, JSON.stringify(mapSettingsSecrets(settings, sealToken)));
+    return result.changes > 0;
+  } catch (err) {
+    console.error("saveShopSettings error:", err);
+    throw err;
+  }
+}
+
+// Number of backups kept per shop/theme/asset (oldest are pruned)
+const MAX_BACKUPS_PER_ASSET = 50;
+
+export function checksum(value) {
+  return crypto.createHash("sha256").update(value || "", "utf8").digest("hex");
+}
+
+// Save the previous value of a theme asset; returns the backup id
+export async function saveThemeBackup({ shop, themeId, key, value, reason = null }) {
+  if (!db) initDatabase();
+
+  try {
+    const insert = db.prepare(`
+      INSERT INTO theme_backups (shop, theme_id, asset_key, value, checksum, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const prune = db.prepare(`
+      DELETE FROM theme_backups
+      WHERE shop = ? AND theme_id = ? AND asset_key = ? AND id NOT IN (
+        SELECT id FROM theme_backups
+        WHERE shop = ? AND theme_id = ? AND asset_key = ?
+        ORDER BY id DESC LIMIT ?
+      )
+    `);
+    const tid = String(themeId);
+    const result = db.transaction(() => {
+      const r = insert.run(shop, tid, key, value, checksum(value), reason);
+      prune.run(shop, tid, key, shop, tid, key, MAX_BACKUPS_PER_ASSET);
+      return r;
+    })();
+    return Number(result.lastInsertRowid);
+  } catch (err) {
+    console.error("saveThemeBackup error:", err);
+    throw err;
+  }
+}
+
+// List backups for a shop (metadata only, newest first)
+export async function listThemeBackups(shopDomain, { themeId = null, limit = 50 } = {}) {
+  if (!db) initDatabase();
+  const stmt = db.prepare(`
+    SELECT id, shop, theme_id, asset_key, checksum, reason, length(value) AS size, created_at
+    FROM theme_backups
+    WHERE shop = ? AND (? IS NULL OR theme_id = ?)
+    ORDER BY id DESC LIMIT ?
+  `);
+  const tid = themeId == null ? null : String(themeId);
+  return stmt.all(shopDomain, tid, tid, limit);
+}
+
+// Theme ids the app has written to for a shop
+export async function listBackedUpThemeIds(shopDomain) {
+  if (!db) initDatabase();
+  const rows = db.prepare("SELECT DISTINCT theme_id FROM theme_backups WHERE shop = ?").all(shopDomain);
+  return rows.map((r) => r.theme_id);
+}
+
+// Get a single backup (including value)
+export async function getThemeBackup(id) {
+  if (!db) initDatabase();
+  return db.prepare("SELECT * FROM theme_backups WHERE id = ?").get(id) || null;
+}
+
+// Get the recorded installation for a shop or null
+export async function getInstallation(shopDomain) {
+  if (!db) initDatabase();
+  const row = db.prepare("SELECT * FROM installations WHERE shop = ?").get(shopDomain);
+  return row ? mapInstallation(row) : null;
+}
+
+function mapInstallation(row) {
+  return {
+    shop: row.shop,
+    themeId: row.theme_id,
+    gtmId: row.gtm_id,
+    datalayerEnabled: !!row.datalayer_enabled,
+    datalayerVersion: row.datalayer_version,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Record (part of) an installation; omitted fields keep their stored value
+export async function saveInstallation(shopDomain, { themeId, gtmId, datalayerEnabled, datalayerVersion } = {}) {
+  if (!db) initDatabase();
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO installations (shop, theme_id, gtm_id, datalayer_enabled, datalayer_version, updated_at)
+      VALUES (?, ?, ?, COALESCE(?, 0), ?, strftime('%s', 'now'))
+      ON CONFLICT(shop) DO UPDATE SET
+        theme_id = COALESCE(excluded.theme_id, theme_id),
+        gtm_id = COALESCE(?, gtm_id),
+        datalayer_enabled = COALESCE(?, datalayer_enabled),
+        datalayer_version = COALESCE(excluded.datalayer_version, datalayer_version),
+        updated_at = strftime('%s', 'now')
+    `);
+    const dl = datalayerEnabled === undefined ? null : datalayerEnabled ? 1 : 0;
+    const gtm = gtmId === undefined ? null : gtmId;
+    const version = datalayerVersion == null ? null : datalayerVersion;
+    const result = stmt.run(shopDomain, themeId == null ? null : String(themeId), gtm, dl, version, gtm, dl);
+    return result.changes > 0;
+  } catch (err) {
+    console.error("saveInstallation error:", err);
+    throw err;
+  }
+}
+
+// Installations with the DataLayer enabled on a version other than `currentVersion`
+export async function listOutdatedInstallations(currentVersion) {
+  if (!db) initDatabase();
+  const rows = db.prepare(`
+    SELECT * FROM installations
+    WHERE datalayer_enabled = 1 AND (datalayer_version IS NULL OR datalayer_version != ?)
+    ORDER BY shop
+  `).all(currentVersion);
+  return rows.map(mapInstallation);
+}
+
+// Forget the recorded installation (after removing it from the theme)
+export async function clearInstallation(shopDomain) {
+  if (!db) initDatabase();
+  const result = db.prepare("DELETE FROM installations WHERE shop = ?").run(shopDomain);
+  return result.changes > 0;
+}
+
+// --- GDPR requests (customers/data_request, customers/redact, shop/redact) ---
+
+function mapGdprRequest(row) {
+  return {
+    id: row.id,
+    shop: row.shop,
+    topic: row.topic,
+    customerId: row.customer_id,
+    ordersRequested: row.orders_requested ? JSON.parse(row.orders_requested) : [],
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    receivedAt: row.received_at,
+    completedAt: row.completed_at,
+  };
+}
+
+export async function createGdprRequest(shopDomain, { topic, customerId = null, ordersRequested = [] }) {
+  if (!db) initDatabase();
+  const result = db.prepare(`
+    INSERT INTO gdpr_requests (shop, topic, customer_id, orders_requested)
+    VALUES (?, ?, ?, ?)
+  `).run(shopDomain, topic, customerId == null ? null : String(customerId), JSON.stringify(ordersRequested));
+  return Number(result.lastInsertRowid);
+}
+
+export async function getGdprRequest(id) {
+  if (!db) initDatabase();
+  const row = db.prepare("SELECT * FROM gdpr_requests WHERE id = ?").get(id);
+  return row ? mapGdprRequest(row) : null;
+}
+
+// status: 'pending' | 'completed' | 'failed'
+export async function updateGdprRequest(id, { status, result = null }) {
+  if (!db) initDatabase();
+  const done = status === "pending" ? null : Math.floor(Date.now() / 1000);
+  const res = db.prepare(`
+    UPDATE gdpr_requests SET status = ?, result = ?, completed_at = ? WHERE id = ?
+  `).run(status, result == null ? null : JSON.stringify(result), done, id);
+  return res.changes > 0;
+}
+
+export async function listGdprRequests({ status = null, shop = null, limit = 100 } = {}) {
+  if (!db) initDatabase();
+  const rows = db.prepare(`
+    SELECT * FROM gdpr_requests
+    WHERE (? IS NULL OR status = ?) AND (? IS NULL OR shop = ?)
+    ORDER BY received_at DESC, id DESC
+    LIMIT ?
+  `).all(status, status, shop, shop, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+  return rows.map(mapGdprRequest);
+}
+
+// --- Webhook deliveries (dedup by X-Shopify-Webhook-Id) ---
+
+const WEBHOOK_EVENT_TTL = 7 * 24 * 3600; // Shopify retries for 48h; keep a margin
+
+// Record a delivery; false when this webhook id was already processed
+export async function claimWebhookEvent(webhookId, shopDomain, topic) {
+  if (!db) initDatabase();
+  db.prepare("DELETE FROM webhook_events WHERE received_at < strftime('%s', 'now') - ?").run(WEBHOOK_EVENT_TTL);
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO webhook_events (webhook_id, shop, topic) VALUES (?, ?, ?)
+  `).run(webhookId, shopDomain, topic);
+  return result.changes > 0;
+}
+
+// Forget a claimed webhook id so Shopify's redelivery is processed (the handler failed)
+export async function releaseWebhookEvent(webhookId) {
+  if (!db) initDatabase();
+  db.prepare("DELETE FROM webhook_events WHERE webhook_id = ?").run(webhookId);
+}
+
+// --- Background jobs (see server/jobs.js) ---
+
+function mapJob(row) {
+  return {
+    id: row.id,
+    shop: row.shop,
+    type: row.type,
+    payload: JSON.parse(row.payload || "{}"),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    lastError: row.last_error,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function insertJob({ shop = null, type, payload = {}, maxAttempts = 5, delaySeconds = 0 }) {
+  if (!db) initDatabase();
+  const result = db.prepare(`
+    INSERT INTO jobs (shop, type, payload, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, strftime('%s', 'now') + ?)
+  `).run(shop, type, JSON.stringify(payload), maxAttempts, delaySeconds);
+  return Number(result.lastInsertRowid);
+}
+
+// Atomically move the next due job to 'running' (null when nothing is due)
+export async function claimNextJob() {
+  if (!db) initDatabase();
+  const row = db.prepare(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = strftime('%s', 'now')
+    WHERE id = (
+      SELECT id FROM jobs WHERE status = 'queued' AND run_at <= strftime('%s', 'now')
+      ORDER BY run_at, id LIMIT 1
+    )
+    RETURNING *
+  `).get();
+  return row ? mapJob(row) : null;
+}
+
+export async function completeJob(id, result = null) {
+  if (!db) initDatabase();
+  db.prepare(`
+    UPDATE jobs SET status = 'succeeded', result = ?, last_error = NULL, updated_at = strftime('%s', 'now')
+    WHERE id = ?
+  `).run(result == null ? null : JSON.stringify(result), id);
+}
+
+// Failed attempt: back to the queue after `retryInSeconds`, or dead-lettered when retryInSeconds is null
+export async function failJob(id, error, retryInSeconds = null) {
+  if (!db) initDatabase();
+  if (retryInSeconds == null) {
+    db.prepare(`
+      UPDATE jobs SET status = 'dead', last_error = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+    `).run(error, id);
+  } else {
+    db.prepare(`
+      UPDATE jobs SET status = 'queued', last_error = ?, run_at = strftime('%s', 'now') + ?,
+        updated_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).run(error, retryInSeconds, id);
+  }
+}
+
+// Jobs left 'running' by a process that died are queued again (returns how many)
+export async function requeueRunningJobs() {
+  if (!db) initDatabase();
+  return db.prepare(`
+    UPDATE jobs SET status = 'queued', updated_at = strftime('%s', 'now') WHERE status = 'running'
+  `).run().changes;
+}
+
+export async function getJob(id) {
+  if (!db) initDatabase();
+  const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+  return row ? mapJob(row) : null;
+}
+
+export async function listJobs({ shop = null, status = null, limit = 50 } = {}) {
+  if (!db) initDatabase();
+  const rows = db.prepare(`
+    SELECT * FROM jobs
+    WHERE (? IS NULL OR shop = ?) AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(shop, shop, status, status, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+  return rows.map(mapJob);
+}
+
+// Delete a shop's jobs of one type whose payload value at `path` (JSON path) is in `values`
+export async function deleteJobsByPayload({ shop, type, path, values }) {
+  if (!db) initDatabase();
+  if (!values.length) return 0;
+  const result = db.prepare(`
+    DELETE FROM jobs
+    WHERE shop = ? AND type = ? AND json_extract(payload, ?) IN (${values.map(() => "?").join(", ")})
+  `).run(shop, type, path, ...values);
+  return result.changes;
+}
+
+// Tables holding per-shop rows (any table with a `shop` column), except the GDPR audit trail
+function shopScopedTables() {
+  return db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+    .all()
+    .map((t) => t.name)
+    .filter((name) => name !== "gdpr_requests" && name !== "schema_migrations")
+    .filter((name) => db.prepare(`PRAGMA table_info(${name})`).all().some((c) => c.name === "shop"));
+}
+
+// What we hold for a shop, as row counts per table
+export async function describeShopData(shopDomain) {
+  if (!db) initDatabase();
+  const counts = {};
+  for (const table of shopScopedTables()) {
+    counts[table] = db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE shop = ?`).get(shopDomain).count;
+  }
+  return counts;
+}
+
+// shop/redact: delete every row for the shop across all tables (returns deleted counts per table)
+export async function purgeShopData(shopDomain) {
+  if (!db) initDatabase();
+  const deleted = {};
+  db.transaction(() => {
+    for (const table of shopScopedTables()) {
+      deleted[table] = db.prepare(`DELETE FROM ${table} WHERE shop = ?`).run(shopDomain).changes;
+    }
+  })();
+  return deleted;
+}
+
+// [table, column] holding sealed tokens (offline + refresh tokens, online sessions)
+const TOKEN_COLUMNS = [["shops", "access_token"], ["shops", "refresh_token"], ["sessions", "access_token"]];
+
+// Run `fn` over every secret in shop_settings (SETTINGS_SECRETS); `fn` returns the new stored
+// value or null to leave it. Returns { total, changed }.
+function updateSettingsSecrets(fn) {
+  let total = 0;
+  let changed = 0;
+  const update = db.prepare("UPDATE shop_settings SET settings = ? WHERE shop = ?");
+  for (const row of db.prepare("SELECT shop, settings FROM shop_settings").all()) {
+    let settings;
+    try { settings = JSON.parse(row.settings); } catch (_) { continue; }
+    let dirty = false;
+    const next = mapSettingsSecrets(settings, (value) => {
+      total++;
+      const sealed = fn(value);
+      if (sealed === null) return value;
+      dirty = true;
+      changed++;
+      return sealed;
+    });
+    if (dirty) update.run(JSON.stringify(next), row.shop);
+  }
+  return { total, changed };
+}
+
+// Encrypt rows still holding a plaintext token or settings secret (one-off after enabling encryption)
+export function encryptStoredTokens() {
+  if (!db) initDatabase();
+  if (!hasEncryptionKey()) throw new Error("TOKEN_ENCRYPTION_KEY is not set");
+  let total = 0;
+  let encrypted = 0;
+  db.transaction(() => {
+    for (const [table, column] of TOKEN_COLUMNS) {
+      const rows = db.prepare(`SELECT id, ${column} AS token FROM ${table} WHERE ${column} IS NOT NULL`).all();
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`);
+      total += rows.length;
+      for (const row of rows) {
+        if (isEncrypted(row.token)) continue;
+        update.run(encryptToken(row.token), row.id);
+        encrypted++;
+      }
+    }
+    const secrets = updateSettingsSecrets((value) => (isEncrypted(value) ? null : encryptToken(value)));
+    total += secrets.total;
+    encrypted += secrets.changed;
+  })();
+  return { total, encrypted };
+}
+
+// Re-wrap every token's (and settings secret's) data key with the current TOKEN_ENCRYPTION_KEY.
+// Old keys must be listed in TOKEN_ENCRYPTION_KEY_PREVIOUS while this runs.
+export function rotateTokenKey() {
+  if (!db) initDatabase();
+  let total = 0;
+  let rotated = 0;
+  db.transaction(() => {
+    for (const [table, column] of TOKEN_COLUMNS) {
+      const rows = db.prepare(`SELECT id, ${column} AS token FROM ${table} WHERE ${column} IS NOT NULL`).all();
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`);
+      total += rows.length;
+      for (const row of rows) {
+        const next = rewrapToken(row.token);
+        if (next === null) continue;
+        update.run(next, row.id);
+        rotated++;
+      }
+    }
+    const secrets = updateSettingsSecrets(rewrapToken);
+    total += secrets.total;
+    rotated += secrets.changed;
+  })();
+  return { total, rotated };
+}
+
 // Close database connection
 export function closeDatabase() {
   if (db) {
@@ -0,0 +1,181 @@
+// server/debug.js — /debug/* routes (OAuth URL, granted scopes, theme assets, test writes)
+//
+// index.js mounts the router at /debug. Outside production anyone can reach it; in production
+// only requests carrying the admin bearer token (ADMIN_TOKEN) do, everyone else gets a 404.
+// Destructive routes are POST-only and need the session's CSRF token from GET /debug/csrf-token
+// in an X-CSRF-Token header. Every call, allowed or not, is written to logs/audit.log.
+import express from "express";
+import crypto from "crypto";
+import { getShop, deleteShop } from "./database.js";
+import { log } from "./logger.js";
+import { API_VERSION, shopifyFetch, getAccessScopes } from "./admin-api.js";
+import {
+  isValidShopDomain,
+  buildAuthorizationUrl,
+  USE_LEGACY_INSTALL_FLOW,
+  getRequestedScopes,
+} from "./oauth.js";
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const CSRF_HEADER = "x-csrf-token";
+// Test writes stay out of layout/, snippets/, templates/ ...
+const PUT_ASSET_PREFIX = "assets/";
+
+function csrfTokenFor(req) {
+  if (!req.session.debugCsrf) req.session.debugCsrf = crypto.randomBytes(32).toString("hex");
+  return req.session.debugCsrf;
+}
+
+function requireCsrf(req, res, next) {
+  const expected = req.session?.debugCsrf;
+  const provided = String(req.headers[CSRF_HEADER] || "");
+  if (
+    !expected ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return res.status(403).json({ ok: false, error: "Missing or invalid CSRF token (GET /debug/csrf-token, then send it as X-CSRF-Token)" });
+  }
+  next();
+}
+
+// ?shop= (GET) or { shop } (POST) with a stored offline token
+async function storedShop(req, res) {
+  const { shop } = { ...req.query, ...(req.body || {}) };
+  if (!shop || !isValidShopDomain(shop)) {
+    res.status(400).json({ ok: false, error: "Provide shop=your-store.myshopify.com" });
+    return null;
+  }
+  const shopData = await getShop(shop);
+  if (!shopData?.access_token) {
+    res.status(404).json({ ok: false, error: "No stored access token for this shop. Install the app first." });
+    return null;
+  }
+  return { shop, accessToken: shopData.access_token };
+}
+
+// `isAdminRequest(req)` checks the admin bearer token; theme helpers come from index.js
+export function createDebugRouter({ isAdminRequest, getMainThemeId, putAsset }) {
+  const router = express.Router();
+
+  // Audit first, so refused calls are recorded too
+  router.use((req, res, next) => {
+    const started = Date.now();
+    res.on("finish", () => {
+      log.audit("debug_route", {
+        method: req.method,
+        path: req.baseUrl + req.path,
+        shop: req.body?.shop || req.query.shop || null,
+        actor: req.debugActor || "anonymous",
+        ip: req.ip,
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+      });
+    });
+    next();
+  });
+
+  // Gate: dev environments, or the admin token in production
+  router.use((req, res, next) => {
+    if (isAdminRequest(req)) req.debugActor = "admin";
+    else if (!IS_PRODUCTION) req.debugActor = "dev";
+    else return res.status(404).json({ error: "Not found" });
+    next();
+  });
+
+  router.get("/csrf-token", (req, res) => {
+    res.json({ ok: true, csrfToken: csrfTokenFor(req), header: "X-CSRF-Token" });
+  });
+
+  // Check OAuth URL generation
+  router.get("/oauth-url", (req, res) => {
+    const shop = req.query.shop || "test-store.myshopify.com";
+    const testNonce = "test-nonce-123";
+    const authUrl = buildAuthorizationUrl(shop, testNonce);
+    res.json({
+      shop,
+      nonce: testNonce,
+      generatedAuthUrl: authUrl,
+      envVars: {
+        HOST: process.env.HOST || "not set",
+        RENDER_EXTERNAL_URL: process.env.RENDER_EXTERNAL_URL || "not set",
+        NODE_ENV: process.env.NODE_ENV || "not set"
+      },
+      useLegacyInstallFlow: USE_LEGACY_INSTALL_FLOW,
+      requestedScopes: getRequestedScopes()
+    });
+  });
+
+  // Granted access scopes from Shopify Admin (GraphQL alternative: appInstallation query)
+  router.get("/access_scopes", async (req, res) => {
+    const ctx = await storedShop(req, res);
+    if (!ctx) return;
+    try {
+      const scopes = await getAccessScopes(ctx.shop, ctx.accessToken);
+      res.json({ ok: true, apiVersion: API_VERSION, scopes });
+    } catch (e) {
+      res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // First N assets of the published theme
+  router.get("/theme-assets", async (req, res) => {
+    const ctx = await storedShop(req, res);
+    if (!ctx) return;
+    const limit = parseInt(req.query.limit || "25", 10);
+    try {
+      const themes = await shopifyFetch(ctx.shop, ctx.accessToken, "/themes.json", { method: "GET" });
+      const main = themes.themes.find((t) => t.role === "main") || themes.themes[0];
+      if (!main) return res.status(404).json({ ok: false, error: "No themes found" });
+      const list = await shopifyFetch(ctx.shop, ctx.accessToken, `/themes/${main.id}/assets.json`, { method: "GET" });
+      const assets = (list.assets || []).slice(0, limit).map((a) => ({ key: a.key, public_url: a.public_url || null, size: a.size }));
+      res.json({ ok: true, shop: ctx.shop, themeId: main.id, count: list.assets?.length || 0, sample: assets });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Destructive routes used to have GET aliases (reachable by a plain link)
+  router.get(["/clear-shop", "/put-asset"], (req, res) => {
+    res.set("Allow", "POST").status(405).json({ ok: false, error: "Use POST with an X-CSRF-Token header" });
+  });
+
+  // Remove a shop (and its token) from the database
+  router.post("/clear-shop", requireCsrf, async (req, res) => {
+    const { shop } = req.body || {};
+    if (!shop || !isValidShopDomain(shop)) {
+      return res.status(400).json({ ok: false, error: "Provide { shop: \"your-store.myshopify.com\" }" });
+    }
+    try {
+      const deleted = await deleteShop(shop);
+      res.json({
+        ok: true,
+        shop,
+        deleted,
+        message: deleted ? "Shop removed from database" : "Shop not found in database"
+      });
+    } catch (error) {
+      res.status(500).json({ ok: false, error: error.message });
+    }
+  });
+
+  // PUT a small asset into the published theme to test write permission
+  router.post("/put-asset", requireCsrf, async (req, res) => {
+    const ctx = await storedShop(req, res);
+    if (!ctx) return;
+    const key = String(req.body?.key || "assets/gtm-debug.txt");
+    if (!key.startsWith(PUT_ASSET_PREFIX) || key.includes("..")) {
+      return res.status(400).json({ ok: false, error: `key must be under ${PUT_ASSET_PREFIX}` });
+    }
+    try {
+      const themeId = await getMainThemeId(ctx.shop, ctx.accessToken);
+      const value = `gtm debug ${new Date().toISOString()}\n`;
+      await putAsset(ctx.shop, ctx.accessToken, themeId, key, value);
+      res.json({ ok: true, shop: ctx.shop, themeId, key });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
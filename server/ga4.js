@@ -0,0 +1,197 @@
+// server/ga4.js — Server-side GA4 Measurement Protocol forwarding (orders/create → purchase,
+// web pixel extension events → POST /pixel/collect)
+import crypto from "crypto";
+import nodeFetch from "node-fetch";
+import { log } from "./logger.js";
+
+const fetch = globalThis.fetch || nodeFetch;
+
+const DEFAULT_ENDPOINT = process.env.GA4_MP_ENDPOINT || "https://www.google-analytics.com";
+
+// Default HTTP sender. Any function with the same shape can be plugged in
+// (e.g. a local stub in tests): (url, { method, headers, body }) => { status, ok, text }
+export async function fetchSender(url, { method, headers, body }) {
+  const res = await fetch(url, { method, headers, body });
+  return { status: res.status, ok: res.ok, text: await res.text().catch(() => "") };
+}
+
+let sender = fetchSender;
+
+// Swap the HTTP sender (returns the previous one so callers can restore it)
+export function setSender(fn) {
+  const previous = sender;
+  sender = fn || fetchSender;
+  return previous;
+}
+
+const money = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// GA4 event names: letters, digits and '_', starting with a letter, at most 40 characters.
+// Settings allow '-' in the event prefix (fine for dataLayer events); GA4 drops such hits silently.
+export function ga4EventName(name) {
+  return String(name).replace(/[^A-Za-z0-9_]/g, "_").replace(/^[^A-Za-z]+/, "").slice(0, 40);
+}
+
+const CLIENT_ID_ATTRIBUTES = ["_ga", "ga_client_id", "client_id"];
+
+// GA4 wants "<random>.<timestamp>"; prefer the browser's _ga cookie if the storefront saved it
+function clientIdFor(order) {
+  const attrs = order.note_attributes || [];
+  const saved = attrs.find((a) => CLIENT_ID_ATTRIBUTES.includes(a.name));
+  if (saved?.value) {
+    const m = String(saved.value).match(/(\d+\.\d+)$/);
+    if (m) return m[1];
+  }
+  const seed = String(order.customer?.id || order.id);
+  const hash = parseInt(crypto.createHash("sha256").update(seed).digest("hex").slice(0, 8), 16);
+  const ts = Math.floor(new Date(order.created_at || Date.now()).getTime() / 1000);
+  return `${hash}.${ts}`;
+}
+
+// The part of an order buildPurchasePayload() reads, without contact data: this is what the
+// ga4.purchase job stores (the jobs table outlives the webhook)
+export function purchaseOrderFields(order) {
+  return {
+    id: order.id,
+    created_at: order.created_at,
+    currency: order.currency,
+    total_price: order.total_price,
+    total_tax: order.total_tax,
+    total_shipping_price_set: order.total_shipping_price_set,
+    shipping_lines: (order.shipping_lines || []).map((l) => ({ price: l.price })),
+    discount_codes: (order.discount_codes || []).map((d) => ({ code: d.code })),
+    customer: order.customer?.id ? { id: order.customer.id } : null,
+    note_attributes: (order.note_attributes || []).filter((a) => CLIENT_ID_ATTRIBUTES.includes(a.name)),
+    line_items: (order.line_items || []).map((item) => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      sku: item.sku,
+      title: item.title,
+      variant_title: item.variant_title,
+      price: item.price,
+      quantity: item.quantity,
+      total_discount: item.total_discount,
+      vendor: item.vendor,
+    })),
+  };
+}
+
+// Same shape as the checkout pixel's purchase event (server/payloads/custom_pixel.js)
+export function buildPurchasePayload(order, { countryCode = "US", formattedItemId = true, eventPrefix = "" } = {}) {
+  const items = (order.line_items || []).map((item) => ({
+    item_id: formattedItemId
+      ? `shopify_${countryCode}_${item.product_id || ""}_${item.variant_id || ""}`
+      : item.product_id,
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    sku: item.sku,
+    item_name: item.title,
+    discount: money(item.total_discount),
+    item_variant: item.variant_title,
+    price: money(item.price),
+    quantity: item.quantity,
+    item_brand: item.vendor,
+  }));
+
+  const shipping =
+    order.total_shipping_price_set?.shop_money?.amount ??
+    (order.shipping_lines || []).reduce((sum, l) => sum + money(l.price), 0);
+
+  return {
+    client_id: clientIdFor(order),
+    ...(order.customer?.id ? { user_id: String(order.customer.id) } : {}),
+    timestamp_micros: new Date(order.created_at || Date.now()).getTime() * 1000,
+    events: [
+      {
+        name: ga4EventName(`${eventPrefix}purchase`),
+        params: {
+          transaction_id: String(order.id),
+          value: money(order.total_price),
+          tax: money(order.total_tax),
+          shipping: money(shipping),
+          currency: order.currency,
+          coupon: (order.discount_codes || []).map((d) => d.code).join(","),
+          items,
+        },
+      },
+    ],
+  };
+}
+
+// Web pixel events forwarded from POST /pixel/collect (unprefixed names) → the ecommerce params each
+// may carry. purchase is left to the orders/create webhook so GA4 doesn't count it twice.
+export const PIXEL_EVENT_PARAMS = {
+  page_view: [],
+  add_shipping_info: ["currency", "value", "coupon", "shipping_tier"],
+  add_payment_info: ["currency", "value", "coupon", "payment_type"],
+};
+export const PIXEL_FORWARDED_EVENTS = Object.keys(PIXEL_EVENT_PARAMS);
+
+const PIXEL_ITEM_PARAMS = [
+  "item_id", "item_name", "item_brand", "item_category", "item_variant", "coupon", "discount", "price", "quantity",
+];
+
+const CONSENT_SIGNAL = { granted: "GRANTED", denied: "DENIED" };
+
+// The pixel's body is untrusted: only listed keys, only strings (GA4's 100-character limit) and finite numbers
+function pickParams(source, keys) {
+  const out = {};
+  for (const key of keys) {
+    const value = source?.[key];
+    if (typeof value === "string") out[key] = value.slice(0, 100);
+    else if (typeof value === "number" && Number.isFinite(value)) out[key] = value;
+  }
+  return out;
+}
+
+// One dataLayer push from the web pixel ({ event, page_location, ecommerce }) → MP payload,
+// or null when the event isn't forwarded
+export function buildPixelEventPayload(push, { clientId, consent = null, eventPrefix = "" } = {}) {
+  const name = String(push?.event || "");
+  const base = eventPrefix && name.startsWith(eventPrefix) ? name.slice(eventPrefix.length) : name;
+  if (!PIXEL_FORWARDED_EVENTS.includes(base)) return null;
+
+  const ecommerce = push.ecommerce || {};
+  const params = pickParams(ecommerce, PIXEL_EVENT_PARAMS[base]);
+  if (typeof push.page_location === "string") params.page_location = push.page_location.slice(0, 1000);
+  if (base !== "page_view" && Array.isArray(ecommerce.items)) {
+    params.items = ecommerce.items.slice(0, 200).map((item) => pickParams(item, PIXEL_ITEM_PARAMS));
+  }
+
+  return {
+    client_id: clientId,
+    ...(consent ? {
+      consent: {
+        ad_user_data: CONSENT_SIGNAL[consent.ad_user_data] || "DENIED",
+        ad_personalization: CONSENT_SIGNAL[consent.ad_personalization] || "DENIED",
+      },
+    } : {}),
+    events: [{ name: ga4EventName(`${eventPrefix}${base}`), params }],
+  };
+}
+
+// POST the payload to GA4 Measurement Protocol (debug=true uses the validation endpoint)
+export async function sendToGA4({ measurementId, apiSecret, payload, debug = false, endpoint = DEFAULT_ENDPOINT }) {
+  if (!measurementId || !/^G-[A-Z0-9]+$/i.test(measurementId)) {
+    throw new Error("Invalid GA4 measurement ID");
+  }
+  if (!apiSecret) throw new Error("Missing GA4 API secret");
+
+  const params = new URLSearchParams({ measurement_id: measurementId, api_secret: apiSecret });
+  const url = `${endpoint}${debug ? "/debug" : ""}/mp/collect?${params.toString()}`;
+
+  const res = await sender(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  if (!res.ok) {
+    throw new Error(`GA4 Measurement Protocol returned ${res.status}: ${res.text || ""}`.trim());
+  }
+  log.info("GA4 event forwarded", { measurementId, events: payload.events.map((e) => e.name), status: res.status });
+  return res;
+}
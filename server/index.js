@@ -1,29 +1,85 @@
 // server/index.js — Production-ready with OAuth, Database, and Logging
 import express from "express";
 import session from "express-session";
-import nodeFetch from "node-fetch";
 import dotenv from "dotenv";
 import crypto from "crypto";
+import { createTwoFilesPatch } from "diff";
 dotenv.config();
 
 // Local imports
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
 // App modules
-import { initDatabase, getShop, saveShop, deleteShop } from "./database.js";
+import {
+  initDatabase,
+  getShop,
+  saveShop,
+  saveOnlineSession,
+  deleteShop,
+  checksum,
+  saveThemeBackup,
+  listThemeBackups,
+  listBackedUpThemeIds,
+  getThemeBackup,
+  getInstallation,
+  saveInstallation,
+  clearInstallation,
+  listOutdatedInstallations,
+  createGdprRequest,
+  getGdprRequest,
+  updateGdprRequest,
+  listGdprRequests,
+  describeShopData,
+  purgeShopData,
+  getJob,
+  listJobs,
+  deleteJobsByPayload,
+} from "./database.js";
 import { log } from "./logger.js";
+import { loadSettings, updateSettings } from "./settings.js";
+import { publicSettings } from "./settings-schema.js";
+import { buildPurchasePayload, buildPixelEventPayload, purchaseOrderFields, sendToGA4 } from "./ga4.js";
+import {
+  UDL_SNIPPET_VERSION,
+  readSnippetVersion,
+  renderUdlSnippet,
+  buildGTMBlocks,
+} from "./theme-code.js";
+import { findAppEmbed, appEmbedActivationUrl } from "./theme-extension.js";
+import { CUSTOM_PIXEL_JS, renderPixelSource, webPixelSettings } from "./pixel-code.js";
+import { onWebhook, mountWebhooks, registerWebhooks } from "./webhooks.js";
+import { createDebugRouter } from "./debug.js";
+import { defineJob, enqueueJob, startJobWorker } from "./jobs.js";
+import {
+  WebPixelError,
+  getWebPixel,
+  saveWebPixel,
+  updateWebPixel,
+  deleteWebPixel,
+} from "./web-pixel.js";
+import {
+  shopifyFetch,
+  ShopifyAuthError,
+  ShopifyNotFoundError,
+  ShopifyThrottledError,
+  ShopifyValidationError,
+} from "./admin-api.js";
 import {
   isValidShopDomain,
   generateNonce,
   buildAuthorizationUrl,
   verifyOAuthCallback,
   exchangeCodeForToken,
-  verifyWebhookHmac,
-  verifyApiRequest,
   USE_LEGACY_INSTALL_FLOW,
   getRequestedScopes,
+  verifySession,
+  parseScopes,
+  missingScopes,
+  reauthorizeUrl,
+  requireScopes,
+  pixelCollectToken,
+  verifyPixelCollectToken,
 } from "./oauth.js";
 
 // __dirname helper:
@@ -62,19 +118,6 @@ log.info("OAuth scopes configuration", {
   legacyInstallFlow: USE_LEGACY_INSTALL_FLOW,
 });
 
-// The contents of this file will be copied.
-const PIXEL_COPY_PATH = path.join(__dirname, "payloads", "custom_pixel.js");
-
-function readPixelCopySource() {
-  try {
-    return fs.readFileSync(PIXEL_COPY_PATH, "utf8");
-  } catch (e) {
-    log.warn("Pixel source file not found", { path: PIXEL_COPY_PATH });
-    return "/* Pixel source not found: server/payloads/custom_pixel.js */";
-  }
-}
-
-const fetch = globalThis.fetch || nodeFetch;
 
 const app = express();
 
@@ -102,7 +145,9 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: "512kb" }));
+// Webhook routes parse their own raw body (needed for HMAC verification)
+const jsonParser = express.json({ limit: "512kb" });
+app.use((req, res, next) => (req.path.startsWith("/webhooks/") ? next() : jsonParser(req, res, next)));
 
 // Allow Shopify Admin iframe (embedded UI) + a few safe headers
 app.use((req, res, next) => {
@@ -125,15 +170,37 @@ app.get("/privacy", (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 const DEFAULT_GTM_ID = process.env.GTM_DEFAULT_ID || "GTM-XXXXXXXX";
-
-/* --------------------------------
-   Raw template literal helper
-   -------------------------------- */
-const raw = (strings, ..._values) => strings.raw[0];
+// Scopes each feature needs (requireScopes); the settings page checks these plus SCOPES
+const THEME_SCOPES = ["read_themes", "write_themes"];
+const PIXEL_SCOPES = ["write_pixels", "read_customer_events"];
+// GA4 purchase forwarding listens to orders/create, which Shopify only lets us subscribe with read_orders
+const GA4_SCOPES = ["read_orders"];
+const wantedScopes = (settings) => [
+  ...parseScopes(getRequestedScopes()),
+  ...THEME_SCOPES,
+  ...PIXEL_SCOPES,
+  ...(settings?.ga4?.enabled ? GA4_SCOPES : []),
+];
 
 // ---------- Utils ----------
 function assert(v, msg) { if (!v) throw new Error(msg); }
 
+// Admin-only routes: "Authorization: Bearer <ADMIN_TOKEN>"
+function isAdminRequest(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  const provided = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  return !!expected &&
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    return sendError(res, 401, "Admin authorization required");
+  }
+  next();
+}
+
 // Error response helper
 function sendError(res, statusCode, message, details = null) {
   log.error(message, details);
@@ -144,64 +211,40 @@ function sendError(res, statusCode, message, details = null) {
   res.status(statusCode).json(response);
 }
 
-// Shopify Admin REST 2025-10
-async function shopifyFetch(shop, accessToken, path, opts = {}) {
-  const url = `https://${shop}/admin/api/2025-10${path}`;
-  log.info(`Shopify API Request: ${opts.method || 'GET'} ${path}`, { shop });
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 25000);
-  try {
-    const res = await fetch(url, {
-      ...opts,
-      headers: {
-        "X-Shopify-Access-Token": accessToken,
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        ...(opts.headers || {}),
-      },
-      signal: controller.signal,
-    });
-      if (!res.ok) {
-    const rawText = await res.text();
-    let parsed = null;
-    try { parsed = JSON.parse(rawText); } catch (_) {}
-
-    log.error(`Shopify API failed: ${opts.method || 'GET'} ${path}`, {
-      shop,
-      status: res.status,
-      rawText,
-      url
-    });
-
-    if (res.status === 401 || res.status === 403) {
-      throw new Error(`Unauthorized (${res.status}): Invalid API key or access token`);
-    }
-
-    if (res.status === 404 && /\/themes\/.+\/assets\.json/i.test(path)) {
-      throw new Error(
-        `Theme asset endpoint returned 404. সম্ভবত: write permission নাই বা theme file unavailable. (${rawText})`
-      );
-    }
+// HTTP status for a failed Shopify call made on the merchant's behalf
+function shopifyErrorStatus(e, fallback = 400) {
+  if (e instanceof ShopifyAuthError) return 403;
+  if (e instanceof ShopifyNotFoundError) return 404;
+  if (e instanceof ShopifyThrottledError) return 429;
+  if (e instanceof ShopifyValidationError) return 422;
+  return fallback;
+}
 
-    if (parsed && parsed.errors) {
-      throw new Error(`Shopify ${res.status} ${JSON.stringify(parsed.errors)}`);
-    }
-    throw new Error(`Shopify ${res.status} ${rawText}`);
-  }
+// Shopify Admin REST: shopifyFetch (server/admin-api.js)
 
-    return res.json();
-  } finally {
-    clearTimeout(timeout);
-  }
+async function listThemes(shop, token) {
+  const data = await shopifyFetch(shop, token, "/themes.json", { method: "GET" });
+  return data.themes || [];
 }
 
 async function getMainThemeId(shop, token) {
-  const data = await shopifyFetch(shop, token, "/themes.json", { method: "GET" });
-  const main = data.themes.find((t) => t.role === "main") || data.themes[0];
+  const themes = await listThemes(shop, token);
+  const main = themes.find((t) => t.role === "main") || themes[0];
   if (!main) throw new Error("No theme found");
   return main.id;
 }
 
+// Explicit themeId (any role) if given, else the published theme
+async function resolveThemeId(shop, token, themeId) {
+  if (themeId === undefined || themeId === null || themeId === "") {
+    return getMainThemeId(shop, token);
+  }
+  const themes = await listThemes(shop, token);
+  const theme = themes.find((t) => String(t.id) === String(themeId));
+  if (!theme) throw new Error(`Theme ${themeId} not found`);
+  return theme.id;
+}
+
 async function getAsset(shop, token, themeId, key) {
   const q = encodeURIComponent(key);
   const data = await shopifyFetch(
@@ -226,6 +269,24 @@ async function putAsset(shop, token, themeId, key, value) {
   });
 }
 
+// Missing asset → null; any other failure (auth, throttling) still throws
+async function getAssetIfExists(shop, token, themeId, key) {
+  try {
+    return await getAsset(shop, token, themeId, key);
+  } catch (e) {
+    if (e instanceof ShopifyNotFoundError) return null;
+    throw e;
+  }
+}
+
+// Save the previous value to theme_backups, then write the new one
+async function putAssetWithBackup(shop, token, themeId, key, previous, value, reason) {
+  const backupId = await saveThemeBackup({ shop, themeId, key, value: previous, reason });
+  await putAsset(shop, token, themeId, key, value);
+  log.info("Theme asset written (backup saved)", { shop, themeId, key, backupId, reason });
+  return backupId;
+}
+
 async function deleteAsset(shop, token, themeId, key) {
   const q = encodeURIComponent(key);
   return shopifyFetch(shop, token, `/themes/${themeId}/assets.json?asset[key]=${q}`, {
@@ -233,6 +294,18 @@ async function deleteAsset(shop, token, themeId, key) {
   });
 }
 
+// Decode an asset returned by the Asset API (text or base64 attachment)
+function assetText(asset) {
+  if (!asset) return "";
+  return asset.value || Buffer.from(asset.attachment || "", "base64").toString("utf8");
+}
+
+// Unified diff of one asset; empty string when nothing changes
+function assetDiff(key, before, after) {
+  if (before === after) return "";
+  return createTwoFilesPatch(`a/${key}`, `b/${key}`, before, after, "current", "patched");
+}
+
 // Helper to strip GTM and render tags from theme.liquid (for uninstall)
 function stripGTMAndRender(src) {
   const reHeadBlock = /<!--\s*Google Tag Manager\s*-->[\s\S]*?<!--\s*End Google Tag Manager\s*-->/ig;
@@ -245,1142 +318,11 @@ function stripGTMAndRender(src) {
   return src;
 }
 
-/* -----------------------------------------
-   1) UDL snippet as Liquid (raw template)
-   ----------------------------------------- */
-const UDL_SNIPPET_VALUE = raw`<script>
-/**
-  * Author: analyticsgtm
-  * Email: analyticsgtm@gmail.com 
-  * Last Update: 27 September 2025
-  */
-  
-  (function() {
-      class Ultimate_Shopify_DataLayer {
-        constructor() {
-          window.dataLayer = window.dataLayer || []; 
-          
-          // use a prefix of events name
-          this.eventPrefix = '';
-
-          //Keep the value false to get non-formatted product ID
-          this.formattedItemId = true; 
-
-          // data schema
-          this.dataSchema = {
-            ecommerce: {
-                show: true
-            },
-            dynamicRemarketing: {
-                show: false,
-                business_vertical: 'retail'
-            }
-          }
-
-          // add to wishlist selectors
-          this.addToWishListSelectors = {
-            'addWishListIcon': '',
-            'gridItemSelector': '',
-            'productLinkSelector': 'a[href*="/products/"]'
-          }
-
-          // quick view selectors
-          this.quickViewSelector = {
-            'quickViewElement': '',
-            'gridItemSelector': '',
-            'productLinkSelector': 'a[href*="/products/"]'
-          }
-
-          // mini cart button selector
-          this.miniCartButton = [
-            'a[href="/cart"]', 
-          ];
-          this.miniCartAppersOn = 'click';
-
-
-          // begin checkout buttons/links selectors
-          this.beginCheckoutButtons = [
-            'input[name="checkout"]',
-            'button[name="checkout"]',
-            'a[href="/checkout"]',
-            '.additional-checkout-buttons',
-          ];
-
-          // direct checkout button selector
-          this.shopifyDirectCheckoutButton = [
-            '.shopify-payment-button'
-          ]
-
-          //Keep the value true if Add to Cart redirects to the cart page
-          this.isAddToCartRedirect = false;
-          
-          // keep the value false if cart items increment/decrement/remove refresh page 
-          this.isAjaxCartIncrementDecrement = true;
-          
-
-          // Caution: Do not modify anything below this line, as it may result in it not functioning correctly.
-          this.cart = {{ cart | json }}
-          this.countryCode = "{{ shop.address.country_code }}";
-          this.storeURL = "{{ shop.secure_url }}";
-          localStorage.setItem('shopCountryCode', this.countryCode);
-          this.collectData(); 
-          this.itemsList = [];
-        }
-
-        updateCart() {
-          fetch("/cart.js")
-          .then((response) => response.json())
-          .then((data) => {
-            this.cart = data;
-          });
-        }
-
-       debounce(delay) {         
-          let timeoutId;
-          return function(func) {
-            const context = this;
-            const args = arguments;
-            
-            clearTimeout(timeoutId);
-            
-            timeoutId = setTimeout(function() {
-              func.apply(context, args);
-            }, delay);
-          };
-        }
-
-        eventConsole(eventName, eventData) {
-          const css1 = 'background: red; color: #fff; font-size: normal; border-radius: 3px 0 0 3px; padding: 3px 4px;';
-          const css2 = 'background-color: blue; color: #fff; font-size: normal; border-radius: 0 3px 3px 0; padding: 3px 4px;';
-          console.log('%cGTM DataLayer Event:%c' + eventName, css1, css2, eventData);
-        }
-
-        collectData() { 
-            this.customerData();
-            this.ajaxRequestData();
-            this.searchPageData();
-            this.miniCartData();
-            this.beginCheckoutData();
-  
-            {% if template contains 'cart' %}
-              this.viewCartPageData();
-            {% endif %}
-  
-            {% if template contains 'product' %}
-              this.productSinglePage();
-            {% endif %}
-  
-            {% if template contains 'collection' %}
-              this.collectionsPageData();
-            {% endif %}
-            
-            this.addToWishListData();
-            this.quickViewData();
-            this.selectItemData(); 
-            this.formData();
-            this.phoneClickData();
-            this.emailClickData();
-            this.loginRegisterData();
-        }        
-
-        //logged-in customer data 
-        customerData() {
-            const currentUser = {};
-            {% if customer %}
-              currentUser.id = {{ customer.id }};
-              currentUser.first_name = "{{ customer.first_name }}";
-              currentUser.last_name = "{{ customer.last_name }}";
-              currentUser.full_name = "{{ customer.name }}";
-              currentUser.email = "{{ customer.email }}";
-              currentUser.phone = "{{ customer.default_address.phone }}";
-          
-              {% if customer.default_address %}
-                currentUser.address = {
-                  address_summary: "{{ customer.default_address.summary }}",
-                  address1: "{{ customer.default_address.address1 }}",
-                  address2: "{{ customer.default_address.address2 }}",
-                  city: "{{ customer.default_address.city }}",
-                  street: "{{ customer.default_address.street }}",
-                  zip: "{{ customer.default_address.zip }}",
-                  company: "{{ customer.default_address.company }}",
-                  country: "{{ customer.default_address.country.name }}",
-                  countryCode: "{{ customer.default_address.country_code }}",
-                  province: "{{ customer.default_address.province }}"
-                };
-              {% endif %}
-            {% endif %}
-
-            if (currentUser.email) {
-              currentUser.hash_email = "{{ customer.email | sha256 }}"
-            }
-
-            if (currentUser.phone) {
-              currentUser.hash_phone = "{{ customer.phone | sha256 }}"
-            }
-
-            window.dataLayer = window.dataLayer || [];
-            dataLayer.push({
-              customer: currentUser
-            });
-        }
-
-        // add_to_cart, remove_from_cart, search
-        ajaxRequestData() {
-          const self = this;
-          
-          // handle non-ajax add to cart
-          if(this.isAddToCartRedirect) {
-            document.addEventListener('submit', function(event) {
-              const addToCartForm = event.target.closest('form[action="/cart/add"]');
-              if(addToCartForm) {
-                event.preventDefault();
-                
-                const formData = new FormData(addToCartForm);
-            
-                fetch(window.Shopify.routes.root + 'cart/add.js', {
-                  method: 'POST',
-                  body: formData
-                })
-                .then(response => {
-                    window.location.href = "{{ routes.cart_url }}";
-                })
-                .catch((error) => {
-                  console.error('Error:', error);
-                });
-              }
-            });
-          }
-          
-          // fetch
-          let originalFetch = window.fetch;
-          let debounce = this.debounce(800);
-          
-          window.fetch = function () {
-            return originalFetch.apply(this, arguments).then((response) => {
-              if (response.ok) {
-                let cloneResponse = response.clone();
-                let requestURL = arguments[0]['url'] || arguments[0];
-                
-                if(typeof requestURL === 'string' && /.*\\/search\\/?\\.*/.test(requestURL) && requestURL.includes('q=') && !requestURL.includes('&requestFrom=uldt')) {   
-                  const queryString = requestURL.split('?')[1];
-                  const urlParams = new URLSearchParams(queryString);
-                  const search_term = urlParams.get("q");
-
-                  debounce(function() {
-                    fetch(\`\${self.storeURL}/search/suggest.json?q=\${search_term}&resources[type]=product&requestFrom=uldt\`)
-                      .then(res => res.json())
-                      .then(function(data) {
-                            const products = data.resources.results.products;
-                            if(products.length) {
-                              const fetchRequests = products.map(product =>
-                                fetch(\`\${self.storeURL}/\${product.url.split('?')[0]}.js\`)
-                                  .then(response => response.json())
-                                  .catch(error => console.error('Error fetching:', error))
-                              );
-
-                              Promise.all(fetchRequests)
-                                .then(products => {
-                                    const items = products.map((product) => {
-                                      return {
-                                        product_id: product.id,
-                                        product_title: product.title,
-                                        variant_id: product.variants[0].id,
-                                        variant_title: product.variants[0].title,
-                                        vendor: product.vendor,
-                                        total_discount: 0,
-                                        final_price: product.price_min,
-                                        product_type: product.type, 
-                                        quantity: 1
-                                      }
-                                    });
-
-                                    self.ecommerceDataLayer('search', {search_term, items});
-                                })
-                            }else {
-                              self.ecommerceDataLayer('search', {search_term, items: []});
-                            }
-                      });
-                  });
-                }
-                else if (typeof requestURL === 'string' && requestURL.includes("/cart/add")) {
-                  cloneResponse.text().then((text) => {
-                    let data = JSON.parse(text);
-
-                    if(data.items && Array.isArray(data.items)) {
-                      data.items.forEach(function(item) {
-                         self.ecommerceDataLayer('add_to_cart', {items: [item]});
-                      })
-                    } else {
-                      self.ecommerceDataLayer('add_to_cart', {items: [data]});
-                    }
-                    self.updateCart();
-                  });
-                }else if(typeof requestURL === 'string' && (requestURL.includes("/cart/change") || requestURL.includes("/cart/update"))) {
-                  
-                   cloneResponse.text().then((text) => {
-                     
-                    let newCart = JSON.parse(text);
-                    let newCartItems = newCart.items;
-                    let oldCartItems = self.cart.items;
-
-                    for(let i = 0; i < oldCartItems.length; i++) {
-                      let item = oldCartItems[i];
-                      let newItem = newCartItems.find(newItems => newItems.id === item.id);
-
-
-                      if(newItem) {
-
-                        if(newItem.quantity > item.quantity) {
-                          // cart item increment
-                          let quantity = (newItem.quantity - item.quantity);
-                          let updatedItem = {...item, quantity}
-                          self.ecommerceDataLayer('add_to_cart', {items: [updatedItem]});
-                          self.updateCart(); 
-
-                        }else if(newItem.quantity < item.quantity) {
-                          // cart item decrement
-                          let quantity = (item.quantity - newItem.quantity);
-                          let updatedItem = {...item, quantity}
-                          self.ecommerceDataLayer('remove_from_cart', {items: [updatedItem]});
-                          self.updateCart(); 
-                        }
-                        
-
-                      }else {
-                        self.ecommerceDataLayer('remove_from_cart', {items: [item]});
-                        self.updateCart(); 
-                      }
-                    }
-                     
-                  });
-                }
-              }
-              return response;
-            });
-          }
-          // end fetch 
-
-
-          //xhr
-          var origXMLHttpRequest = XMLHttpRequest;
-          XMLHttpRequest = function() {
-            var requestURL;
-    
-            var xhr = new origXMLHttpRequest();
-            var origOpen = xhr.open;
-            var origSend = xhr.send;
-            
-            // Override the \`open\` function.
-            xhr.open = function(method, url) {
-                requestURL = url;
-                return origOpen.apply(this, arguments);
-            };
-    
-    
-            xhr.send = function() {
-    
-                // Only proceed if the request URL matches what we're looking for.
-                if (typeof requestURL === 'string' && (requestURL.includes("/cart/add") || requestURL.includes("/cart/change") || /.*\\/search\\/?\\.*/.test(requestURL) && requestURL.includes('q='))) {
-        
-                    xhr.addEventListener('load', function() {
-                        if (xhr.readyState === 4) {
-                            if (xhr.status >= 200 && xhr.status < 400) { 
-
-                              if(typeof requestURL === 'string' && /.*\\/search\\/?\\.*/.test(requestURL) && requestURL.includes('q=') && !requestURL.includes('&requestFrom=uldt')) {
-                                const queryString = requestURL.split('?')[1];
-                                const urlParams = new URLSearchParams(queryString);
-                                const search_term = urlParams.get("q");
-
-                                debounce(function() {
-                                    fetch(\`\${self.storeURL}/search/suggest.json?q=\${search_term}&resources[type]=product&requestFrom=uldt\`)
-                                      .then(res => res.json())
-                                      .then(function(data) {
-                                            const products = data.resources.results.products;
-                                            if(products.length) {
-                                              const fetchRequests = products.map(product =>
-                                                fetch(\`\${self.storeURL}/\${product.url.split('?')[0]}.js\`)
-                                                  .then(response => response.json())
-                                                  .catch(error => console.error('Error fetching:', error))
-                                              );
-                
-                                              Promise.all(fetchRequests)
-                                                .then(products => {
-                                                    const items = products.map((product) => {
-                                                      return {
-                                                        product_id: product.id,
-                                                        product_title: product.title,
-                                                        variant_id: product.variants[0].id,
-                                                        variant_title: product.variants[0].title,
-                                                        vendor: product.vendor,
-                                                        total_discount: 0,
-                                                        final_price: product.price_min,
-                                                        product_type: product.type, 
-                                                        quantity: 1
-                                                      }
-                                                    });
-                
-                                                    self.ecommerceDataLayer('search', {search_term, items});
-                                                })
-                                            }else {
-                                              self.ecommerceDataLayer('search', {search_term, items: []});
-                                            }
-                                      });
-                                  });
-
-                              }
-
-                              else if(typeof requestURL === 'string' && requestURL.includes("/cart/add")) {
-                                  const data = JSON.parse(xhr.responseText);
-
-                                  if(data.items && Array.isArray(data.items)) {
-                                    data.items.forEach(function(item) {
-                                        self.ecommerceDataLayer('add_to_cart', {items: [item]});
-                                      })
-                                  } else {
-                                    self.ecommerceDataLayer('add_to_cart', {items: [data]});
-                                  }
-                                  self.updateCart();
-                                 
-                               }else if(typeof requestURL === 'string' && requestURL.includes("/cart/change")) {
-                                 
-                                  const newCart = JSON.parse(xhr.responseText);
-                                  const newCartItems = newCart.items;
-                                  let oldCartItems = self.cart.items;
-              
-                                  for(let i = 0; i < oldCartItems.length; i++) {
-                                    let item = oldCartItems[i];
-                                    let newItem = newCartItems.find(newItems => newItems.id === item.id);
-              
-              
-                                    if(newItem) {
-                                      if(newItem.quantity > item.quantity) {
-                                        // cart item increment
-                                        let quantity = (newItem.quantity - item.quantity);
-                                        let updatedItem = {...item, quantity}
-                                        self.ecommerceDataLayer('add_to_cart', {items: [updatedItem]});
-                                        self.updateCart(); 
-              
-                                      }else if(newItem.quantity < item.quantity) {
-                                        // cart item decrement
-                                        let quantity = (item.quantity - newItem.quantity);
-                                        let updatedItem = {...item, quantity}
-                                        self.ecommerceDataLayer('remove_from_cart', {items: [updatedItem]});
-                                        self.updateCart(); 
-                                      }
-                                      
-              
-                                    }else {
-                                      self.ecommerceDataLayer('remove_from_cart', {items: [item]});
-                                      self.updateCart(); 
-                                    }
-                                  }
-                               }          
-                            }
-                        }
-                    });
-                }
-    
-                return origSend.apply(this, arguments);
-            };
-    
-            return xhr;
-          }; 
-          //end xhr
-        }
-
-        // search event from search page
-        searchPageData() {
-          const self = this;
-          let pageUrl = window.location.href;
-          
-          if(/.+\\/search\\?.*\\&?q=.+/.test(pageUrl)) {   
-            const queryString = pageUrl.split('?')[1];
-            const urlParams = new URLSearchParams(queryString);
-            const search_term = urlParams.get("q");
-                
-            fetch(\`{{ shop.secure_url }}/search/suggest.json?q=\${search_term}&resources[type]=product&requestFrom=uldt\`)
-            .then(res => res.json())
-            .then(function(data) {
-                  const products = data.resources.results.products;
-                  if(products.length) {
-                    const fetchRequests = products.map(product =>
-                      fetch(\`\${self.storeURL}/\${product.url.split('?')[0]}.js\`)
-                        .then(response => response.json())
-                        .catch(error => console.error('Error fetching:', error))
-                    );
-                    Promise.all(fetchRequests)
-                    .then(products => {
-                        const items = products.map((product) => {
-                            return {
-                            product_id: product.id,
-                            product_title: product.title,
-                            variant_id: product.variants[0].id,
-                            variant_title: product.variants[0].title,
-                            vendor: product.vendor,
-                            total_discount: 0,
-                            final_price: product.price_min,
-                            product_type: product.type, 
-                            quantity: 1
-                            }
-                        });
-
-                        self.ecommerceDataLayer('search', {search_term, items});
-                    });
-                  }else {
-                    self.ecommerceDataLayer('search', {search_term, items: []});
-                  }
-            });
-          }
-        }
-
-        // view_cart
-        miniCartData() {
-          if(this.miniCartButton.length) {
-            let self = this;
-            if(this.miniCartAppersOn === 'hover') {
-              this.miniCartAppersOn = 'mouseenter';
-            }
-            this.miniCartButton.forEach((selector) => {
-              let miniCartButtons = document.querySelectorAll(selector);
-              miniCartButtons.forEach((miniCartButton) => {
-                  miniCartButton.addEventListener(self.miniCartAppersOn, () => {
-                    self.ecommerceDataLayer('view_cart', self.cart);
-                  });
-              })
-            });
-          }
-        }
-
-        // begin_checkout
-        beginCheckoutData() {
-          let self = this;
-          document.addEventListener('pointerdown', (event) => {
-            let targetElement = event.target.closest(self.beginCheckoutButtons.join(', '));
-            if(targetElement) {
-              self.ecommerceDataLayer('begin_checkout', self.cart);
-            }
-          });
-        }
-
-        // view_cart, add_to_cart, remove_from_cart
-        viewCartPageData() {
-          
-          this.ecommerceDataLayer('view_cart', this.cart);
-
-          //if cart quantity chagne reload page 
-          if(!this.isAjaxCartIncrementDecrement) {
-            const self = this;
-            document.addEventListener('pointerdown', (event) => {
-              const target = event.target.closest('a[href*="/cart/change?"]');
-              if(target) {
-                const linkUrl = target.getAttribute('href');
-                const queryString = linkUrl.split("?")[1];
-                const urlParams = new URLSearchParams(queryString);
-                const newQuantity = urlParams.get("quantity");
-                const line = urlParams.get("line");
-                const cart_id = urlParams.get("id");
-        
-                
-                if(newQuantity && (line || cart_id)) {
-                  let item = line ? {...self.cart.items[line - 1]} : self.cart.items.find(item => item.key === cart_id);
-        
-                  let event = 'add_to_cart';
-                  if(newQuantity < item.quantity) {
-                    event = 'remove_from_cart';
-                  }
-        
-                  let quantity = Math.abs(newQuantity - item.quantity);
-                  item['quantity'] = quantity;
-        
-                  self.ecommerceDataLayer(event, {items: [item]});
-                }
-              }
-            });
-          }
-        }
-
-        productSinglePage() {
-        {% if template contains 'product' %}
-          const item = {
-              product_id: {{ product.id | json }},
-              variant_id: {{ product.selected_or_first_available_variant.id }},
-              product_title: {{ product.title | json }},
-              line_level_total_discount: 0,
-              vendor: {{ product.vendor | json }},
-              sku: {{ product.selected_or_first_available_variant.sku | json }},
-              product_type: {{ product.type | json }},
-              item_list_id: {{ product.collections[0].id | json }},
-              item_list_name: {{ product.collections[0].title | json }},
-              {% if product.selected_or_first_available_variant.title != "Default Title" %}
-                variant_title: {{ product.selected_or_first_available_variant.title | json }},
-              {% endif %}
-              final_price: {{ product.selected_or_first_available_variant.price }},
-              quantity: 1
-          };
-          
-          const variants = {{ product.variants | json }}
-          this.ecommerceDataLayer('view_item', {items: [item]});
-
-          if(this.shopifyDirectCheckoutButton.length) {
-              let self = this;
-              document.addEventListener('pointerdown', (event) => {  
-                let target = event.target;
-                let checkoutButton = event.target.closest(this.shopifyDirectCheckoutButton.join(', '));
-
-                if(checkoutButton && (variants || self.quickViewVariants)) {
-
-                    let checkoutForm = checkoutButton.closest('form[action*="/cart/add"]');
-                    if(checkoutForm) {
-
-                        let variant_id = null;
-                        let varientInput = checkoutForm.querySelector('input[name="id"]');
-                        let varientIdFromURL = new URLSearchParams(window.location.search).get('variant');
-                        let firstVarientId = item.variant_id;
-
-                        if(varientInput) {
-                          variant_id = parseInt(varientInput.value);
-                        }else if(varientIdFromURL) {
-                          variant_id = varientIdFromURL;
-                        }else if(firstVarientId) {
-                          variant_id = firstVarientId;
-                        }
-
-                        if(variant_id) {
-                            variant_id = parseInt(variant_id);
-
-                            let quantity = 1;
-                            let quantitySelector = checkoutForm.getAttribute('id');
-                            if(quantitySelector) {
-                              let quentityInput = document.querySelector('input[name="quantity"][form="'+quantitySelector+'"]');
-                              if(quentityInput) {
-                                  quantity = +quentityInput.value;
-                              }
-                            }
-                          
-                            if(variant_id) {
-                                let variant = variants.find(item => item.id === +variant_id);
-                                if(variant && item) {
-                                    variant_id
-                                    item['variant_id'] = variant_id;
-                                    item['variant_title'] = variant.title;
-                                    item['final_price'] = variant.price;
-                                    item['quantity'] = quantity;
-                                    
-                                    self.ecommerceDataLayer('add_to_cart', {items: [item]});
-                                    self.ecommerceDataLayer('begin_checkout', {items: [item]});
-                                }else if(self.quickViewedItem) {                                  
-                                  let variant = self.quickViewVariants.find(item => item.id === +variant_id);
-                                  if(variant) {
-                                    self.quickViewedItem['variant_id'] = variant_id;
-                                    self.quickViewedItem['variant_title'] = variant.title;
-                                    self.quickViewedItem['final_price'] = parseFloat(variant.price) * 100;
-                                    self.quickViewedItem['quantity'] = quantity;
-                                    
-                                    self.ecommerceDataLayer('add_to_cart', {items: [self.quickViewedItem]});
-                                    self.ecommerceDataLayer('begin_checkout', {items: [self.quickViewedItem]});
-                                    
-                                  }
-                                }
-                            }
-                        }
-                    }
-
-                }
-              }); 
-          }
-          
-          {% endif %}
-        }
-
-        collectionsPageData() {
-          var ecommerce = {
-            'items': [
-              {% for product in collection.products %}
-                {
-                    'product_id': {{ product.id | json }},
-                    'variant_id': {{ product.selected_or_first_available_variant.id | json }},
-                    'vendor': {{ product.vendor | json }},
-                    'sku': {{ product.selected_or_first_available_variant.sku | json }},
-                    'total_discount': 0,
-                    'variant_title': {{ product.selected_or_first_available_variant.title | json }},
-                    'product_title': {{ product.title | json }},
-                    'final_price': Number({{ product.price }}),
-                    'product_type': {{ product.type | json }},
-                    'item_list_id': {{ collection.id | json }},
-                    'item_list_name': {{ collection.title | json }},
-                    'url': {{product.url | json}},
-                    'quantity': 1
-                },
-              {% endfor %}
-              ]
-          };
-
-          this.itemsList = ecommerce.items;
-          ecommerce['item_list_id'] = {{ collection.id | json }}
-          ecommerce['item_list_name'] = {{ collection.title | json }}
-
-          this.ecommerceDataLayer('view_item_list', ecommerce);
-        }
-        
-        
-        // add to wishlist
-        addToWishListData() {
-          if(this.addToWishListSelectors && this.addToWishListSelectors.addWishListIcon) {
-            const self = this;
-            document.addEventListener('pointerdown', (event) => {
-              let target = event.target;
-              
-              if(target.closest(self.addToWishListSelectors.addWishListIcon)) {
-                let pageULR = window.location.href.replace(/\\?.+/, '');
-                let requestURL = undefined;
-          
-                if(/\\/products\\/[^/]+$/.test(pageULR)) {
-                  requestURL = pageULR;
-                } else if(self.addToWishListSelectors.gridItemSelector && self.addToWishListSelectors.productLinkSelector) {
-                  let itemElement = target.closest(self.addToWishListSelectors.gridItemSelector);
-                  if(itemElement) {
-                    let linkElement = itemElement.querySelector(self.addToWishListSelectors.productLinkSelector); 
-                    if(linkElement) {
-                      let link = linkElement.getAttribute('href').replace(/\\?.+/g, '');
-                      if(link && /\\/products\\/[^/]+$/.test(link)) {
-                        requestURL = link;
-                      }
-                    }
-                  }
-                }
-
-                if(requestURL) {
-                  fetch(requestURL + '.json')
-                    .then(res => res.json())
-                    .then(result => {
-                      let data = result.product;                    
-                      if(data) {
-                        let dataLayerData = {
-                          product_id: data.id,
-                            variant_id: data.variants[0].id,
-                            product_title: data.title,
-                          quantity: 1,
-                          final_price: parseFloat(data.variants[0].price) * 100,
-                          total_discount: 0,
-                          product_type: data.product_type,
-                          vendor: data.vendor,
-                          variant_title: (data.variants[0].title !== 'Default Title') ? data.variants[0].title : undefined,
-                          sku: data.variants[0].sku,
-                        }
-
-                        self.ecommerceDataLayer('add_to_wishlist', {items: [dataLayerData]});
-                      }
-                    });
-                }
-              }
-            });
-          }
-        }
-
-        quickViewData() {
-          if(this.quickViewSelector.quickViewElement && this.quickViewSelector.gridItemSelector && this.quickViewSelector.productLinkSelector) {
-            const self = this;
-            document.addEventListener('pointerdown', (event) => {
-              let target = event.target;
-              if(target.closest(self.quickViewSelector.quickViewElement)) {
-                let requestURL = undefined;
-                let itemElement = target.closest(this.quickViewSelector.gridItemSelector );
-                
-                if(itemElement) {
-                  let linkElement = itemElement.querySelector(self.quickViewSelector.productLinkSelector); 
-                  if(linkElement) {
-                    let link = linkElement.getAttribute('href').replace(/\\?.+/g, '');
-                    if(link && /\\/products\\/[^/]+$/.test(link)) {
-                      requestURL = link;
-                    }
-                  }
-                }   
-                
-                if(requestURL) {
-                    fetch(requestURL + '.json')
-                      .then(res => res.json())
-                      .then(result => {
-                        let data = result.product;                    
-                        if(data) {
-                          let dataLayerData = {
-                            product_id: data.id,
-                            variant_id: data.variants[0].id,
-                            product_title: data.title,
-                            quantity: 1,
-                            final_price: parseFloat(data.variants[0].price) * 100,
-                            total_discount: 0,
-                            product_type: data.product_type,
-                            vendor: data.vendor,
-                            variant_title: (data.variants[0].title !== 'Default Title') ? data.variants[0].title : undefined,
-                            sku: data.variants[0].sku,
-                          }
-  
-                          self.ecommerceDataLayer('view_item', {items: [dataLayerData]});
-                          self.quickViewVariants = data.variants;
-                          self.quickViewedItem = dataLayerData;
-                        }
-                      });
-                  }
-              }
-            });
-
-            {% unless template contains 'product' %}
-              if(this.shopifyDirectCheckoutButton.length) {
-                let self = this;
-                document.addEventListener('pointerdown', (event) => {
-                  let target = event.target;
-                  let checkoutButton = event.target.closest(this.shopifyDirectCheckoutButton.join(', '));
-                  
-                  if(self.quickViewVariants && self.quickViewedItem && self.quickViewVariants.length && checkoutButton) {
-
-                    let checkoutForm = checkoutButton.closest('form[action*="/cart/add"]');
-                    if(checkoutForm) {
-                        let quantity = 1;
-                        let varientInput = checkoutForm.querySelector('input[name="id"]');
-                        let quantitySelector = checkoutForm.getAttribute('id');
-
-                        if(quantitySelector) {
-                          let quentityInput = document.querySelector('input[name="quantity"][form="'+quantitySelector+'"]');
-                          if(quentityInput) {
-                              quantity = +quentityInput.value;
-                          }
-                        }
-
-                        if(varientInput) {
-                            let variant_id = parseInt(varientInput.value);
-
-                            if(variant_id) {
-                                const variant = self.quickViewVariants.find(item => item.id === +variant_id);
-                                if(variant && self.quickViewedItem) {
-                                    self.quickViewedItem['variant_id'] = variant_id;
-                                    self.quickViewedItem['variant_title'] = variant.title;
-                                    self.quickViewedItem['final_price'] = parseFloat(variant.price) * 100;
-                                    self.quickViewedItem['quantity'] = quantity; 
-    
-                                    self.ecommerceDataLayer('add_to_cart', {items: [self.quickViewedItem]});
-                                    self.ecommerceDataLayer('begin_checkout', {items: [self.quickViewedItem]});
-                                }
-                            }
-                        }
-                    }
-
-                  }
-                }); 
-            }
-            {% endunless %}
-          }
-        }
-
-        // select_item events
-        selectItemData() {
-          
-          const self = this;
-          const items = this.itemsList;
-
-          {% if template contains 'collection' %}            
-            document.addEventListener('pointerdown', function(event) {
-                            
-              const productLink = event.target.closest('a[href*="/products/"]');
-
-              if(productLink) {
-                  const linkUrl = productLink.getAttribute('href');
-
-                  const matchProduct = (item) => {
-                    var itemSlug = (item.url.split('/products/')[1]).split('#')[0].split('?')[0].trim();
-                    var linkUrlItemSlug = (linkUrl.split('/products/')[1]).split('#')[0].split('?')[0].trim();
-                    
-                    return itemSlug === linkUrlItemSlug;  
-                  }
-                
-                  const item = items.find(matchProduct);
-                  const index = items.findIndex(matchProduct);
-                
-                  if(item) {
-                    self.ecommerceDataLayer('select_item', {items: [{...item, index: index}]});
-                  }
-              }
-            });
-          {% endif %}
-
-          // select item on varient change
-          document.addEventListener('variant:change', function(event) {            
-            const product_id = event.detail.product.id;
-            const variant_id = event.detail.variant.id;
-            const vendor = event.detail.product.vendor; 
-            const variant_title = event.detail.variant.public_title;
-            const product_title = event.detail.product.title;
-            const final_price = event.detail.variant.price;
-            const product_type = event.detail.product.type;
-
-             const item = {
-                product_id: product_id,
-                product_title: product_title,
-                variant_id: variant_id,
-                variant_title: variant_title,
-                vendor: vendor,
-                final_price: final_price,
-                product_type: product_type, 
-                quantity: 1
-             }
-            
-             self.ecommerceDataLayer('select_item', {items: [item]});
-          });
-        }
-
-        // all ecommerce events
-        ecommerceDataLayer(event, data) {
-          const self = this;
-          dataLayer.push({ 'ecommerce': null });
-          const dataLayerData = {
-            "event": this.eventPrefix + event,
-            'ecommerce': {
-               'currency': this.cart.currency,
-               'items': data.items.map((item, index) => {
-                 const dataLayerItem = {
-                    'index': index,
-                    'item_id': this.formattedItemId  ? \`shopify_\${this.countryCode}_\${item.product_id}_\${item.variant_id}\` : item.product_id.toString(),
-                    'product_id': item.product_id.toString(),
-                    'variant_id': item.variant_id.toString(),
-                    'item_name': item.product_title,
-                    'quantity': item.quantity,
-                    'price': +((item.final_price / 100).toFixed(2)),
-                    'discount': item.total_discount ? +((item.total_discount / 100).toFixed(2)) : 0 
-                }
-
-                if(item.product_type) {
-                  dataLayerItem['item_category'] = item.product_type;
-                }
-                
-                if(item.vendor) {
-                  dataLayerItem['item_brand'] = item.vendor;
-                }
-               
-                if(item.variant_title && item.variant_title !== 'Default Title') {
-                  dataLayerItem['item_variant'] = item.variant_title;
-                }
-              
-                if(item.sku) {
-                  dataLayerItem['sku'] = item.sku;
-                }
-
-                if(item.item_list_name) {
-                  dataLayerItem['item_list_name'] = item.item_list_name;
-                }
-
-                if(item.item_list_id) {
-                  dataLayerItem['item_list_id'] = item.item_list_id.toString()
-                }
-
-                return dataLayerItem;
-              })
-            }
-          }
-
-          if(data.total_price !== undefined) {
-            dataLayerData['ecommerce']['value'] =  +((data.total_price / 100).toFixed(2));
-          } else {
-            dataLayerData['ecommerce']['value'] = +(dataLayerData['ecommerce']['items'].reduce((total, item) => total + (item.price * item.quantity), 0)).toFixed(2);
-          }
-          
-          if(data.item_list_id) {
-            dataLayerData['ecommerce']['item_list_id'] = data.item_list_id;
-          }
-          
-          if(data.item_list_name) {
-            dataLayerData['ecommerce']['item_list_name'] = data.item_list_name;
-          }
-
-          if(data.search_term) {
-            dataLayerData['search_term'] = data.search_term;
-          }
-
-          if(self.dataSchema.dynamicRemarketing && self.dataSchema.dynamicRemarketing.show) {
-            dataLayer.push({ 'dynamicRemarketing': null });
-            dataLayerData['dynamicRemarketing'] = {
-                value: dataLayerData.ecommerce.value,
-                items: dataLayerData.ecommerce.items.map(item => ({id: item.item_id, google_business_vertical: self.dataSchema.dynamicRemarketing.business_vertical}))
-            }
-          }
-
-          if(!self.dataSchema.ecommerce ||  !self.dataSchema.ecommerce.show) {
-            delete dataLayerData['ecommerce'];
-          }
-
-          dataLayer.push(dataLayerData);
-          self.eventConsole(self.eventPrefix + event, dataLayerData);
-        }
-
-        
-        // contact form submit & newsletters signup
-        formData() {
-          const self = this;
-          document.addEventListener('submit', function(event) {
-
-            let targetForm = event.target.closest('form[action^="/contact"]');
-
-
-            if(targetForm) {
-              const formData = {
-                form_location: window.location.href,
-                form_id: targetForm.getAttribute('id'),
-                form_classes: targetForm.getAttribute('class')
-              };
-                            
-              let formType = targetForm.querySelector('input[name="form_type"]');
-              let inputs = targetForm.querySelectorAll("input:not([type=hidden]):not([type=submit]), textarea, select");
-              
-              inputs.forEach(function(input) {
-                var inputName = input.name;
-                var inputValue = input.value;
-                
-                if (inputName && inputValue) {
-                  var matches = inputName.match(/\\[(.*?)\\]/);
-                  if (matches && matches.length > 1) {
-                     var fieldName = matches[1];
-                     formData[fieldName] = input.value;
-                  }
-                }
-              });
-              
-              if(formType && formType.value === 'customer') {
-                dataLayer.push({ event: self.eventPrefix + 'newsletter_signup', ...formData});
-                self.eventConsole(self.eventPrefix + 'newsletter_signup', { event: self.eventPrefix + 'newsletter_signup', ...formData});
-
-              } else if(formType && formType.value === 'contact') {
-                dataLayer.push({ event: self.eventPrefix + 'contact_form_submit', ...formData});
-                self.eventConsole(self.eventPrefix + 'contact_form_submit', { event: self.eventPrefix + 'contact_form_submit', ...formData});
-              }
-            }
-          });
-
-        }
-
-        // phone_number_click event
-        phoneClickData() {
-          const self = this; 
-          document.addEventListener('click', function(event) {
-            let target = event.target.closest('a[href^="tel:"]');
-            if(target) {
-              let phone_number = target.getAttribute('href').replace('tel:', '');
-              let eventData = {
-                event: self.eventPrefix + 'phone_number_click',
-                page_location: window.location.href,
-                link_classes: target.getAttribute('class'),
-                link_id: target.getAttribute('id'),
-                phone_number
-              }
-
-              dataLayer.push(eventData);
-              self.eventConsole(self.eventPrefix + 'phone_number_click', eventData);
-            }
-          });
-        }
-  
-        // email_click event
-        emailClickData() {
-          const self = this; 
-          document.addEventListener('click', function(event) {
-            let target = event.target.closest('a[href^="mailto:"]');
-            if(target) {
-              let email_address = target.getAttribute('href').replace('mailto:', '');
-              let eventData = {
-                event: self.eventPrefix + 'email_click',
-                page_location: window.location.href,
-                link_classes: target.getAttribute('class'),
-                link_id: target.getAttribute('id'),
-                email_address
-              }
-
-              dataLayer.push(eventData);
-              self.eventConsole(self.eventPrefix + 'email_click', eventData);
-            }
-          });
-        }
-
-        //login register 
-        loginRegisterData() {
-          
-          const self = this; 
-          let isTrackedLogin = false;
-          let isTrackedRegister = false;
-          
-          if(window.location.href.includes('/account/login')) {
-            document.addEventListener('submit', function(e) {
-              const loginForm = e.target.closest('[action="/account/login"]');
-              if(loginForm && !isTrackedLogin) {
-                  const eventData = {
-                    event: self.eventPrefix + 'login'
-                  }
-                  isTrackedLogin = true;
-                  dataLayer.push(eventData);
-                  self.eventConsole(self.eventPrefix + 'login', eventData);
-              }
-            });
-          }
-
-          if(window.location.href.includes('/account/register')) {
-            document.addEventListener('submit', function(e) {
-              const registerForm = e.target.closest('[action="/account"]');
-              if(registerForm && !isTrackedRegister) {
-                  const eventData = {
-                    event: self.eventPrefix + 'sign_up'
-                  }
-                
-                  isTrackedRegister = true;
-                  dataLayer.push(eventData);
-                  self.eventConsole(self.eventPrefix + 'sign_up', eventData);
-              }
-            });
-          }
-        }
-      } 
-      // end Ultimate_Shopify_DataLayer
-
-      document.addEventListener('DOMContentLoaded', function() {
-        try{
-          new Ultimate_Shopify_DataLayer();
-        }catch(error) {
-          console.log(error);
-        }
-      });
-    
-  })();
-</script>
-`;
-
-/* -----------------------------------------------------------
-   2) Custom Pixel JS — Shopify Customer Events (raw template)
-   ----------------------------------------------------------- */
-
-// Read custom pixel source from file
-const CUSTOM_PIXEL_JS = readPixelCopySource();
-
 /* ----------------------
    Code
    ---------------------- */
-function buildGTMBlocks(gtmId) {
-  const headTag = [
-    "<!-- Google Tag Manager -->",
-    "<script>(function(w,d,s,l,i){w[l]=w[l]||[];w[l].push({'gtm.start':",
-    "new Date().getTime(),event:'gtm.js'});var f=d.getElementsByTagName(s)[0],",
-    "j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;j.src=",
-    "'https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);",
-    `})(window,document,'script','dataLayer','${gtmId}');</script>`,
-    "<!-- End Google Tag Manager -->",
-  ].join("");
-
-  const bodyTag = [
-    "<!-- Google Tag Manager (noscript) -->",
-    `<noscript><iframe src="https://www.googletagmanager.com/ns.html?id=${gtmId}"`,
-    `height="0" width="0" style="display:none;visibility:hidden"></iframe></noscript>`,
-    "<!-- End Google Tag Manager (noscript) -->",
-  ].join("");
-
-  return { headTag, bodyTag };
-}
-
-function upsertGTMAndRender(src, gtmId) {
-  const { headTag, bodyTag } = buildGTMBlocks(gtmId);
+function upsertGTMAndRender(src, gtmId, consent = null) {
+  const { headTag, bodyTag } = buildGTMBlocks(gtmId, consent);
   const renderTag = `{% render 'ultimate-datalayer' %}`;
 
   const reHeadBlock = /<!--\s*Google Tag Manager\s*-->[\s\S]*?<!--\s*End Google Tag Manager\s*-->/ig;
@@ -1406,6 +348,212 @@ function insertRenderAfterGTM(src) {
   return src.replace(/<\/head>/i, `  ${renderTag}\n</head>`);
 }
 
+// Upsert the GTM blocks (+ render tag) in theme.liquid. With dryRun only the diff is computed.
+async function installGTM(shop, token, themeId, gtmId, { dryRun = false, reason = "gtm_enable" } = {}) {
+  const themeKey = "layout/theme.liquid";
+  const { consent } = await loadSettings(shop);
+  const orig = assetText(await getAsset(shop, token, themeId, themeKey));
+  const patched = upsertGTMAndRender(orig, gtmId, consent);
+  const result = { themeId, changed: patched !== orig, diff: null, backupId: null };
+
+  if (dryRun) {
+    result.diff = assetDiff(themeKey, orig, patched);
+    return result;
+  }
+  if (result.changed) {
+    result.backupId = await putAssetWithBackup(shop, token, themeId, themeKey, orig, patched, reason);
+    log.info("GTM injected successfully", { shop, gtmId, themeId });
+  }
+  return result;
+}
+
+// Write the DataLayer snippet and render it from theme.liquid. With dryRun only the diff is computed.
+async function installDataLayer(shop, token, themeId, settings, { dryRun = false, reason = "datalayer_enable" } = {}) {
+  const snippetKey = "snippets/ultimate-datalayer.liquid";
+  const snippet = renderUdlSnippet(settings);
+
+  const themeKey = "layout/theme.liquid";
+  const orig = assetText(await getAsset(shop, token, themeId, themeKey));
+  const patched = insertRenderAfterGTM(orig);
+  // A snippet that doesn't exist yet is backed up as "" (restoring that deletes it)
+  const currentSnippet = assetText(await getAssetIfExists(shop, token, themeId, snippetKey));
+  const result = { themeId, changed: patched !== orig, diff: null, backupId: null, snippetBackupId: null, version: UDL_SNIPPET_VERSION };
+
+  if (dryRun) {
+    result.diff = assetDiff(snippetKey, currentSnippet, snippet) + assetDiff(themeKey, orig, patched);
+    result.changed = !!result.diff;
+    return result;
+  }
+
+  if (currentSnippet !== snippet) {
+    result.snippetBackupId = await putAssetWithBackup(shop, token, themeId, snippetKey, currentSnippet, snippet, reason);
+  }
+  if (result.changed) {
+    result.backupId = await putAssetWithBackup(shop, token, themeId, themeKey, orig, patched, reason);
+    log.info("DataLayer snippet created and injected", { shop, themeId });
+  }
+  return result;
+}
+
+// What our markers in theme.liquid currently look like
+function inspectThemeLiquid(src) {
+  const head = src.match(/<!--\s*Google Tag Manager\s*-->([\s\S]*?)<!--\s*End Google Tag Manager\s*-->/i);
+  const body = src.match(/<!--\s*Google Tag Manager\s*\(noscript\)\s*-->([\s\S]*?)<!--\s*End Google Tag Manager\s*\(noscript\)\s*-->/i);
+  const headId = head && head[1].match(/'(GTM-[A-Za-z0-9_-]+)'/);
+  const bodyId = body && body[1].match(/ns\.html\?id=(GTM-[A-Za-z0-9_-]+)/);
+  return {
+    gtmHead: { ok: !!head, containerId: headId ? headId[1] : null },
+    gtmNoscript: { ok: !!body, containerId: bodyId ? bodyId[1] : null },
+    renderTag: { ok: /\{%-?\s*render\s+'ultimate-datalayer'\s*-?%\}/i.test(src) },
+  };
+}
+
+// App embed mode: is the theme app extension's embed activated on this theme? (read-only)
+async function getAppEmbedStatus(shop, token, themeId, settings) {
+  const asset = await getAssetIfExists(shop, token, themeId, "config/settings_data.json");
+  const embed = asset ? findAppEmbed(assetText(asset)) : { found: false, activated: false, gtmId: null };
+  return {
+    ok: embed.activated,
+    ...embed,
+    matchesSettings: !!settings.gtmId && embed.gtmId === settings.gtmId,
+    activationUrl: appEmbedActivationUrl(shop, themeId, process.env.SHOPIFY_API_KEY),
+  };
+}
+
+async function getPixelCheck(shop, token) {
+  try {
+    const pixel = await getWebPixel(shop, token);
+    return { ok: !!pixel && pixel.settings.enabled !== "false", found: !!pixel };
+  } catch (e) {
+    return { ok: false, found: false, error: e.message };
+  }
+}
+
+// Installation health for one theme: theme.liquid markers, snippet, web pixel
+// (app embed mode: embed activation + web pixel)
+async function getInstallStatus(shop, token, themeId) {
+  const settings = await loadSettings(shop);
+  if (settings.installMode === "app_embed") {
+    const appEmbed = await getAppEmbedStatus(shop, token, themeId, settings);
+    return {
+      themeId,
+      mode: "app_embed",
+      tracking: appEmbed.activated,
+      checks: { appEmbed, pixel: await getPixelCheck(shop, token) },
+    };
+  }
+
+  const themeSrc = assetText(await getAsset(shop, token, themeId, "layout/theme.liquid"));
+  const checks = inspectThemeLiquid(themeSrc);
+
+  const snippetAsset = await getAssetIfExists(shop, token, themeId, "snippets/ultimate-datalayer.liquid");
+  const snippetSrc = snippetAsset ? assetText(snippetAsset) : null;
+  const version = readSnippetVersion(snippetSrc);
+  const upToDate = version === UDL_SNIPPET_VERSION;
+  checks.snippet = {
+    ok: upToDate,
+    exists: snippetSrc !== null,
+    version,
+    serverVersion: UDL_SNIPPET_VERSION,
+    upToDate,
+    matchesSettings: snippetSrc !== null && snippetSrc === renderUdlSnippet(settings),
+  };
+
+  checks.pixel = await getPixelCheck(shop, token);
+
+  const expectedId = settings.gtmId || null;
+  checks.gtmHead.matchesSettings = !!expectedId && checks.gtmHead.containerId === expectedId;
+  return {
+    themeId,
+    mode: "theme",
+    tracking: checks.gtmHead.ok && checks.renderTag.ok && checks.snippet.exists,
+    checks,
+  };
+}
+
+// Store country code (for shopify_{country}_{product}_{variant} item IDs), cached per shop
+const shopCountryCache = new Map();
+
+async function getShopCountryCode(shop, token) {
+  if (!shopCountryCache.has(shop)) {
+    const { shop: info } = await shopifyFetch(shop, token, "/shop.json", { method: "GET" });
+    shopCountryCache.set(shop, info?.country_code || "US");
+  }
+  return shopCountryCache.get(shop);
+}
+
+// Re-apply the recorded GTM / DataLayer installation to a theme
+async function reapplyInstallation(shop, token, themeId, installation, reason) {
+  const result = { themeId, gtm: null, datalayer: null };
+  if (installation.gtmId) {
+    const r = await installGTM(shop, token, themeId, installation.gtmId, { reason });
+    result.gtm = { changed: r.changed, backupId: r.backupId };
+  }
+  if (installation.datalayerEnabled) {
+    const r = await installDataLayer(shop, token, themeId, await loadSettings(shop), { reason });
+    result.datalayer = { changed: r.changed, backupId: r.backupId, version: r.version };
+  }
+  return result;
+}
+
+// Strip GTM blocks + render tag from theme.liquid and delete the DataLayer snippet
+async function removeFromTheme(shop, token, themeId, reason) {
+  const result = { themeId, themeUpdated: false, snippetDeleted: false, backupId: null };
+  const themeKey = "layout/theme.liquid";
+
+  const asset = await getAssetIfExists(shop, token, themeId, themeKey);
+  if (asset) {
+    const orig = assetText(asset);
+    const stripped = stripGTMAndRender(orig);
+    if (stripped !== orig) {
+      result.backupId = await putAssetWithBackup(shop, token, themeId, themeKey, orig, stripped, reason);
+      result.themeUpdated = true;
+      log.info("GTM blocks removed from theme.liquid", { shop, themeId });
+    }
+  }
+
+  try {
+    const snippetKey = "snippets/ultimate-datalayer.liquid";
+    const snippet = await getAssetIfExists(shop, token, themeId, snippetKey);
+    if (snippet) await saveThemeBackup({ shop, themeId, key: snippetKey, value: assetText(snippet), reason });
+    await deleteAsset(shop, token, themeId, snippetKey);
+    result.snippetDeleted = true;
+    log.info("DataLayer snippet deleted", { shop, themeId });
+  } catch (e) {
+    // Already gone is fine; anything else is worth a warning
+    if (!(e instanceof ShopifyNotFoundError)) {
+      log.warn("Failed to delete snippet", { shop, themeId, error: e.message });
+    }
+  }
+  return result;
+}
+
+// Re-read what our code looks like in the recorded theme and rewrite the installations row to
+// match (after a restore), so themes/publish re-applies only what is still installed
+async function syncInstallation(shop, token, themeId) {
+  const installation = await getInstallation(shop);
+  if (!installation || installation.themeId !== String(themeId)) return installation;
+
+  const theme = inspectThemeLiquid(assetText(await getAssetIfExists(shop, token, themeId, "layout/theme.liquid")));
+  const snippet = await getAssetIfExists(shop, token, themeId, "snippets/ultimate-datalayer.liquid");
+  const gtmId = theme.gtmHead.containerId;
+  const datalayerEnabled = theme.renderTag.ok && !!snippet;
+
+  // saveInstallation() keeps omitted/null fields, so start from an empty row
+  await clearInstallation(shop);
+  if (!gtmId && !datalayerEnabled) {
+    log.info("Installation cleared: nothing left in the theme", { shop, themeId });
+    return null;
+  }
+  await saveInstallation(shop, {
+    themeId,
+    gtmId,
+    datalayerEnabled,
+    datalayerVersion: datalayerEnabled ? readSnippetVersion(assetText(snippet)) : null,
+  });
+  return getInstallation(shop);
+}
+
 /* ----------------------
    OAuth Routes
    ---------------------- */
@@ -1428,10 +576,14 @@ app.get("/auth", (req, res) => {
     req.session.nonce = nonce;
     req.session.shop = shop;
     
-    // Build OAuth URL
-    const authUrl = buildAuthorizationUrl(shop, nonce);
+    // Build OAuth URL (?online=1: per-user token for the staff member,
+    // ?scope=a,b: re-authorize for scopes the shop hasn't granted)
+    const online = req.query.online === "1";
+    const scopes = parseScopes(req.query.scope).filter((s) => /^[a-z_]+$/.test(s));
+    const authUrl = buildAuthorizationUrl(shop, nonce, { online, scopes });
     
-    log.shopify.oauth(shop, "OAuth flow started");
+    log.shopify.oauth(shop, online ? "Online OAuth flow started"
+      : scopes.length ? `Re-authorization started for ${scopes.join(",")}` : "OAuth flow started");
     
     res.redirect(authUrl);
   } catch (error) {
@@ -1467,33 +619,63 @@ app.get("/auth/callback", async (req, res) => {
     }
     
   // Exchange code for access token
-  const { accessToken, scope } = await exchangeCodeForToken(shop, code);
+  const token = await exchangeCodeForToken(shop, code);
+  const { accessToken, scope, online } = token;
+
+  // Online grant: store the user's token next to the shop's offline one
+  if (online) {
+    await saveOnlineSession(shop, { userId: online.userId, accessToken, scope: online.scope, expiresAt: online.expiresAt, user: online.user });
+    log.info("Online session stored", { shop, userId: online.userId, expiresAt: online.expiresAt });
+    const installing = !!req.session.installing;
+    delete req.session.nonce;
+    delete req.session.shop;
+    delete req.session.installing;
+    return installing ? sendInstallComplete(res, shop) : res.redirect(`/admin/settings?shop=${encodeURIComponent(shop)}`);
+  }
 
-  // Save to database (saveShop is async)
-  const saved = await saveShop(shop, accessToken, scope);
+  // Save to database (saveShop is async); expiring tokens come with a refresh token
+  const saved = await saveShop(shop, accessToken, scope, token);
 
   if (!saved) {
     log.error("Failed to save shop to database", null, { shop });
     return sendError(res, 500, "Failed to save shop credentials");
   }
     
-    log.info("Shop installed successfully", { shop, scope });
-    // Warn if required scopes are missing
+    log.info("Shop installed successfully", { shop, scope, expiresAt: token.expiresAt });
+
+    // Subscribe to every registered webhook topic; install still succeeds if this fails.
+    // Re-authorizations land here too, which subscribes the topics a newly granted scope
+    // unlocks (orders/create once read_orders is granted); existing ones are skipped.
     try {
-      const required = ["read_themes", "write_themes"]; // minimum for theme ops
-      const granted = (scope || "").split(",").map(s => s.trim()).filter(Boolean);
-      const missingReq = required.filter(s => !granted.includes(s));
-      if (missingReq.length) {
-        log.warn("Granted scopes missing required permissions", { shop, granted, missing: missingReq });
-      }
-    } catch (_) {}
+      const results = await registerWebhooks(shop, accessToken, { host: OAUTH_HOST, shopifyFetch });
+      const failed = results.filter((r) => !r.ok).map((r) => r.topic);
+      if (failed.length) log.warn("Some webhook topics are not subscribed", { shop, topics: failed });
+    } catch (e) {
+      log.error("Webhook registration failed", e, { shop });
+    }
+    // Scopes still missing after the grant: the settings page prompts to re-authorize
+    const missing = missingScopes(scope, wantedScopes(await loadSettings(shop)));
+    if (missing.length) {
+      log.warn("Granted scopes missing requested permissions", { shop, granted: parseScopes(scope), missing });
+    }
     
     // Clear session
     delete req.session.nonce;
     delete req.session.shop;
-    
-    // Close popup and refresh parent window
-    res.type("html").send(`<!doctype html>
+
+    // Then the per-user (online) grant for the staff member installing: Shopify skips the
+    // consent screen since the scopes are already granted; that callback closes the popup
+    req.session.installing = true;
+    res.redirect(`/auth?shop=${encodeURIComponent(shop)}&online=1`);
+  } catch (error) {
+    log.error("OAuth callback error", error);
+    sendError(res, 500, "OAuth callback failed", error.message);
+  }
+});
+
+// Close the install popup and reload the settings page
+function sendInstallComplete(res, shop) {
+  res.type("html").send(`<!doctype html>
 <html><head><meta charset="utf-8"><title>Installation Complete</title></head>
 <body>
 <script>
@@ -1513,198 +695,638 @@ app.get("/auth/callback", async (req, res) => {
 </script>
 <p>Installation successful! Redirecting...</p>
 </body></html>`);
-  } catch (error) {
-    log.error("OAuth callback error", error);
-    sendError(res, 500, "OAuth callback failed", error.message);
-  }
-});
+}
 
 /* ----------------------
    API Endpoints
    ---------------------- */
 
+// Write GTM to a theme and record it (endpoint + "gtm.enable" job)
+async function applyGTM(shop, accessToken, themeId, gtmId) {
+  const result = await installGTM(shop, accessToken, themeId, gtmId, { reason: "gtm_enable" });
+  const settings = await loadSettings(shop);
+  if (settings.gtmId !== gtmId) {
+    await updateSettings(shop, { gtmId });
+  }
+  await saveInstallation(shop, { themeId, gtmId });
+  return { gtmId, themeId, backupId: result.backupId };
+}
+
+// Write the DataLayer snippet + render tag and record it (endpoint + "datalayer.enable" job)
+async function applyDataLayer(shop, accessToken, themeId) {
+  const result = await installDataLayer(shop, accessToken, themeId, await loadSettings(shop), { reason: "datalayer_enable" });
+  await saveInstallation(shop, { themeId, datalayerEnabled: true, datalayerVersion: result.version });
+  return { themeId, backupId: result.backupId };
+}
+
+// App embed mode answer for the enable endpoints: report the embed, never touch theme files
+async function appEmbedResponse(shop, accessToken, requestedThemeId, settings) {
+  const themeId = await resolveThemeId(shop, accessToken, requestedThemeId);
+  const appEmbed = await getAppEmbedStatus(shop, accessToken, themeId, settings);
+  return { ok: true, mode: "app_embed", themeId, changed: false, appEmbed };
+}
+
+// Jobs only ever use the stored token (tokens are never written to the jobs table)
+async function storedAccessToken(shop) {
+  const shopData = await getShop(shop);
+  if (!shopData?.access_token) throw new Error("No stored access token");
+  return shopData.access_token;
+}
+
+defineJob("gtm.enable", async ({ gtmId, themeId }, { shop }) => {
+  const token = await storedAccessToken(shop);
+  return applyGTM(shop, token, await resolveThemeId(shop, token, themeId), gtmId);
+});
+
+defineJob("datalayer.enable", async ({ themeId }, { shop }) => {
+  const token = await storedAccessToken(shop);
+  return applyDataLayer(shop, token, await resolveThemeId(shop, token, themeId));
+});
+
+// Background jobs for a shop (uninstall cleanup, theme re-apply, enable requests)
+app.get("/api/jobs", verifySession, async (req, res) => {
+  const { status = null, limit } = req.query;
+  const { shop } = req.shopSession;
+  try {
+    res.json({ ok: true, jobs: await listJobs({ shop, status, limit }) });
+  } catch (e) {
+    sendError(res, 500, "Failed to list jobs", e.message);
+  }
+});
+
+app.get("/api/jobs/:id", verifySession, async (req, res) => {
+  const { shop } = req.shopSession;
+  try {
+    const job = await getJob(Number(req.params.id));
+    if (!job || job.shop !== shop) return sendError(res, 404, "Job not found");
+    res.json({ ok: true, job });
+  } catch (e) {
+    sendError(res, 500, "Failed to load job", e.message);
+  }
+});
+
 // 1) Enable GTM
-app.post("/api/gtm/enable", async (req, res) => {
+app.post("/api/gtm/enable", verifySession, requireScopes(...THEME_SCOPES), async (req, res) => {
   try {
-    const { shop, gtmId, accessToken: accessTokenFromBody } = req.body || {};
-    
-    // Validate inputs
-    if (!shop || !isValidShopDomain(shop)) {
-      return sendError(res, 400, "Invalid shop domain");
-    }
-    
-    // Get access token: prefer request body (compat mode), else database
-      const shopData = await getShop(shop);
-      const accessToken = accessTokenFromBody || shopData?.access_token;
+    const { gtmId, themeId: requestedThemeId, dryRun = false, async: runAsync = false } = req.body || {};
+    const { shop, shopData, accessToken, tokenType } = req.shopSession;
     if (!accessToken) {
-      return sendError(res, 401, "Missing access token. Install the app or pass accessToken in request body.");
+      return sendError(res, 401, "Missing access token. Install the app first.");
     }
 
-    const desiredId = (gtmId || DEFAULT_GTM_ID || "").trim();
+    const settings = await loadSettings(shop);
+    const desiredId = (gtmId || settings.gtmId || DEFAULT_GTM_ID || "").trim();
     if (!/^GTM-[A-Za-z0-9_-]+$/.test(desiredId)) {
       return sendError(res, 400, "Invalid GTM Container ID format");
     }
     
     log.shopify.apiCall("POST", "/api/gtm/enable", shop);
 
-  const themeId = await getMainThemeId(shop, accessToken);
-    const themeKey = "layout/theme.liquid";
-    const asset = await getAsset(shop, accessToken, themeId, themeKey);
-    const orig = asset.value || Buffer.from(asset.attachment || "", "base64").toString("utf8");
+    // App embed mode: the theme app extension carries the code; keep the ID for the web pixel
+    if (settings.installMode === "app_embed") {
+      const saved = settings.gtmId === desiredId ? settings : await updateSettings(shop, { gtmId: desiredId });
+      return res.json(await appEmbedResponse(shop, accessToken, requestedThemeId, saved));
+    }
+
+    // Background mode: answer right away, the UI polls GET /api/jobs/:id
+    if (runAsync && !dryRun) {
+      if (!shopData?.access_token) {
+        return sendError(res, 401, "Background jobs need a stored access token. Install the app first.");
+      }
+      // Jobs run with the offline token: don't let a staff member's request escape their own permissions
+      if (tokenType === "online") {
+        return sendError(res, 400, "Background jobs can't act as a staff member. Apply without \"async\".");
+      }
+      const jobId = await enqueueJob("gtm.enable", { shop, payload: { gtmId: desiredId, themeId: requestedThemeId ?? null } });
+      return res.status(202).json({ ok: true, jobId, status: "queued" });
+    }
+
+    const themeId = await resolveThemeId(shop, accessToken, requestedThemeId);
 
-    const patched = upsertGTMAndRender(orig, desiredId);
-    if (patched !== orig) {
-      await putAsset(shop, accessToken, themeId, themeKey, patched);
-      log.info("GTM injected successfully", { shop, gtmId: desiredId, themeId });
+    // Preview only: report what would change, write nothing
+    if (dryRun) {
+      const result = await installGTM(shop, accessToken, themeId, desiredId, { dryRun: true });
+      return res.json({ ok: true, dryRun: true, gtmId: desiredId, themeId, changed: result.changed, diff: result.diff });
     }
 
-    res.json({ ok: true, gtmId: desiredId, themeId });
+    res.json({ ok: true, ...(await applyGTM(shop, accessToken, themeId, desiredId)) });
   } catch (e) {
-    log.shopify.apiError("POST", "/api/gtm/enable", req.body?.shop, e);
-    sendError(res, 400, "Failed to enable GTM", e.message);
+    log.shopify.apiError("POST", "/api/gtm/enable", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to enable GTM", e.message);
   }
 });
 
 // 2) Enable DataLayer
-app.post("/api/datalayer/enable", async (req, res) => {
+app.post("/api/datalayer/enable", verifySession, requireScopes(...THEME_SCOPES), async (req, res) => {
   try {
-    const { shop, accessToken: accessTokenFromBody } = req.body || {};
-    
-    if (!shop || !isValidShopDomain(shop)) {
-      return sendError(res, 400, "Invalid shop domain");
-    }
-    
-    // Get access token: prefer request body (compat mode), else database
-      const shopData = await getShop(shop);
-      const accessToken = accessTokenFromBody || shopData?.access_token;
-
+    const { themeId: requestedThemeId, dryRun = false, async: runAsync = false } = req.body || {};
+    const { shop, shopData, accessToken, tokenType } = req.shopSession;
     if (!accessToken) {
-      return sendError(res, 401, "Missing access token. Install the app or pass accessToken in request body.");
+      return sendError(res, 401, "Missing access token. Install the app first.");
     }
     
     log.shopify.apiCall("POST", "/api/datalayer/enable", shop);
 
-  const themeId = await getMainThemeId(shop, accessToken);
-    await putAsset(shop, accessToken, themeId, "snippets/ultimate-datalayer.liquid", UDL_SNIPPET_VALUE);
+    const settings = await loadSettings(shop);
+    if (settings.installMode === "app_embed") {
+      return res.json(await appEmbedResponse(shop, accessToken, requestedThemeId, settings));
+    }
+
+    // Background mode: answer right away, the UI polls GET /api/jobs/:id
+    if (runAsync && !dryRun) {
+      if (!shopData?.access_token) {
+        return sendError(res, 401, "Background jobs need a stored access token. Install the app first.");
+      }
+      // Jobs run with the offline token: don't let a staff member's request escape their own permissions
+      if (tokenType === "online") {
+        return sendError(res, 400, "Background jobs can't act as a staff member. Apply without \"async\".");
+      }
+      const jobId = await enqueueJob("datalayer.enable", { shop, payload: { themeId: requestedThemeId ?? null } });
+      return res.status(202).json({ ok: true, jobId, status: "queued" });
+    }
 
-    const themeKey = "layout/theme.liquid";
-    const asset = await getAsset(shop, accessToken, themeId, themeKey);
-    const orig = asset.value || Buffer.from(asset.attachment || "", "base64").toString("utf8");
+    const themeId = await resolveThemeId(shop, accessToken, requestedThemeId);
 
-    const patched = insertRenderAfterGTM(orig);
-    if (patched !== orig) {
-      await putAsset(shop, accessToken, themeId, themeKey, patched);
-      log.info("DataLayer snippet created and injected", { shop, themeId });
+    // Preview only: diff the snippet (absent = empty) and theme.liquid, write nothing
+    if (dryRun) {
+      const result = await installDataLayer(shop, accessToken, themeId, await loadSettings(shop), { dryRun: true });
+      return res.json({ ok: true, dryRun: true, themeId, changed: result.changed, diff: result.diff });
     }
 
-    res.json({ ok: true, themeId });
+    res.json({ ok: true, ...(await applyDataLayer(shop, accessToken, themeId)) });
   } catch (e) {
-    log.shopify.apiError("POST", "/api/datalayer/enable", req.body?.shop, e);
-    sendError(res, 400, "Failed to enable DataLayer", e.message);
+    log.shopify.apiError("POST", "/api/datalayer/enable", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to enable DataLayer", e.message);
   }
 });
 
-// 3) Create/Update Custom Web Pixel (Customer events)
-app.post("/api/pixel/enable", async (req, res) => {
+// Bulk upgrade: re-render the snippet for every shop whose recorded version is outdated
+app.post("/api/datalayer/upgrade", requireAdmin, async (req, res) => {
+  const { dryRun = false, shops: onlyShops = null } = req.body || {};
+
   try {
-    const { shop, name = "analyticsgtm Pixel", accessToken: accessTokenFromBody } = req.body || {};
-    
-    if (!shop || !isValidShopDomain(shop)) {
-      return sendError(res, 400, "Invalid shop domain");
-    }
-    
-    // Get access token: prefer request body (compat mode), else database
-    const shopData = await getShop(shop);
-    const accessToken = accessTokenFromBody || shopData?.access_token;
-    if (!accessToken) {
-      return sendError(res, 401, "Missing access token. Install the app or pass accessToken in request body.");
+    const outdated = (await listOutdatedInstallations(UDL_SNIPPET_VERSION))
+      .filter((i) => !Array.isArray(onlyShops) || onlyShops.includes(i.shop));
+
+    if (dryRun) {
+      return res.json({
+        ok: true,
+        dryRun: true,
+        version: UDL_SNIPPET_VERSION,
+        shops: outdated.map((i) => ({ shop: i.shop, themeId: i.themeId, from: i.datalayerVersion })),
+      });
     }
-    
-    log.shopify.apiCall("POST", "/api/pixel/enable", shop);
-
-    const API = `https://${shop}/admin/api/2025-10`;
-    const headers = {
-      "X-Shopify-Access-Token": accessToken,
-      "Content-Type": "application/json",
-      "Accept": "application/json"
-    };
 
-    // Probe
-    const probe = await fetch(`${API}/web_pixels.json?limit=1`, { method: "GET", headers });
-    if (probe.status === 401 || probe.status === 403) {
-      return sendError(res, 403, "Unauthorized: token invalid or missing scopes",
-        "Grant read_pixels, write_pixels and reinstall the app");
-    }
-    if (probe.status === 404 || probe.status === 405) {
-      return sendError(res, 404, "Web Pixels REST not available on this store/API",
-        "Create once in Admin → Settings → Customer events → Add custom pixel");
+    // Sequential on purpose: keeps us well under each shop's API rate limit
+    const results = [];
+    for (const installation of outdated) {
+      const { shop } = installation;
+      const entry = { shop, from: installation.datalayerVersion, to: UDL_SNIPPET_VERSION, ok: false };
+      try {
+        const shopData = await getShop(shop);
+        if (!shopData?.access_token) throw new Error("No stored access token");
+
+        const settings = await loadSettings(shop);
+        if (settings.installMode === "app_embed") throw new Error("Shop uses the app embed (update the theme app extension instead)");
+
+        const themeId = await resolveThemeId(shop, shopData.access_token, installation.themeId);
+        const r = await installDataLayer(shop, shopData.access_token, themeId, settings, {
+          reason: "datalayer_upgrade",
+        });
+        await saveInstallation(shop, { themeId, datalayerVersion: r.version });
+        Object.assign(entry, { ok: true, themeId, backupId: r.backupId });
+      } catch (e) {
+        entry.error = e.message;
+        log.error("DataLayer upgrade failed", e, { shop });
+      }
+      results.push(entry);
     }
 
-    // Try create
-    const createBody = { web_pixel: { name, enabled: true, settings: "{}", javascript: CUSTOM_PIXEL_JS } };
-    const cRes = await fetch(`${API}/web_pixels.json`, { method: "POST", headers, body: JSON.stringify(createBody) });
-    const cJson = await cRes.json().catch(() => ({}));
-    
-    if (cRes.ok) {
-      log.info("Custom pixel created", { shop, pixelName: name });
-      return res.json({ ok: true, mode: "created", pixel: cJson.web_pixel });
-    }
+    const upgraded = results.filter((r) => r.ok).length;
+    log.info("DataLayer bulk upgrade finished", { version: UDL_SNIPPET_VERSION, upgraded, failed: results.length - upgraded });
+    res.json({ ok: true, version: UDL_SNIPPET_VERSION, upgraded, failed: results.length - upgraded, results });
+  } catch (e) {
+    sendError(res, 500, "DataLayer upgrade failed", e.message);
+  }
+});
 
-    // Fallback update
-    const lRes = await fetch(`${API}/web_pixels.json`, { method: "GET", headers });
-    const lJson = await lRes.json().catch(() => ({}));
-    const existing =
-      (lJson.web_pixels || []).find(p => (p.name || "").toLowerCase() === name.toLowerCase()) ||
-      (lJson.web_pixels || [])[0];
+// GDPR requests received via the mandatory webhooks (admin)
+app.get("/api/gdpr/requests", requireAdmin, async (req, res) => {
+  const { status = null, shop = null, limit } = req.query;
+  if (status && !["pending", "completed", "failed"].includes(status)) {
+    return sendError(res, 400, "status must be pending, completed or failed");
+  }
+  try {
+    res.json({ ok: true, requests: await listGdprRequests({ status, shop, limit }) });
+  } catch (e) {
+    sendError(res, 500, "Failed to list GDPR requests", e.message);
+  }
+});
 
-    if (!existing) {
-      return sendError(res, 400, `Create failed (${cRes.status})`,
-        cJson?.errors || cJson || "No pixel to update. Create one manually once, then retry");
-    }
+// Mark a data request as answered (the report was sent to the merchant)
+app.post("/api/gdpr/requests/:id/complete", requireAdmin, async (req, res) => {
+  try {
+    const request = await getGdprRequest(Number(req.params.id));
+    if (!request) return sendError(res, 404, "GDPR request not found");
+    if (request.status === "completed") return res.json({ ok: true, request });
 
-    const updBody = {
-      web_pixel: { id: existing.id, name: existing.name || name, enabled: true,
-                   settings: existing.settings || "{}", javascript: CUSTOM_PIXEL_JS }
-    };
-    const uRes = await fetch(`${API}/web_pixels/${existing.id}.json`, {
-      method: "PUT", headers, body: JSON.stringify(updBody)
+    await updateGdprRequest(request.id, {
+      status: "completed",
+      result: req.body?.note ? { ...request.result, completionNote: String(req.body.note) } : request.result,
     });
-    const uJson = await uRes.json().catch(() => ({}));
-    
-    if (!uRes.ok) {
-      return sendError(res, 400, `Update failed (${uRes.status})`, uJson?.errors || uJson || "No details");
-    }
-    
-    log.info("Custom pixel updated", { shop, pixelName: name });
-    res.json({ ok: true, mode: "updated", pixel: uJson.web_pixel });
+    log.info("GDPR request completed", { id: request.id, shop: request.shop, topic: request.topic });
+    res.json({ ok: true, request: await getGdprRequest(request.id) });
   } catch (e) {
-    log.shopify.apiError("POST", "/api/pixel/enable", req.body?.shop, e);
-    sendError(res, 400, "Failed to enable pixel", e.message);
+    sendError(res, 500, "Failed to update GDPR request", e.message);
   }
 });
 
-// 4) Serve the in-file pixel source for "Copy" button
-app.get("/api/pixel/source", (req, res) => {
-  res.setHeader("Content-Type", "text/javascript; charset=utf-8");
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Cache-Control", "no-store, max-age=0, must-revalidate");
-  const src = readPixelCopySource();
-  res.send(src);
-});
-
+// Snippet settings (eventPrefix, selectors, toggles, GTM ID)
+app.get("/api/settings", verifySession, async (req, res) => {
+  try {
+    const { shop } = req.shopSession;
+    if (!(await getShop(shop))) {
+      return sendError(res, 404, "Shop not installed");
+    }
+
+    res.json({ ok: true, shop, settings: publicSettings(await loadSettings(shop)) });
+  } catch (e) {
+    sendError(res, 500, "Failed to load settings", e.message);
+  }
+});
+
+app.put("/api/settings", verifySession, async (req, res) => {
+  const { settings } = req.body || {};
+  const { shop } = req.shopSession;
+  try {
+    const shopData = await getShop(shop);
+    if (!shopData) {
+      return sendError(res, 404, "Shop not installed");
+    }
+
+    let previous, saved;
+    try {
+      previous = await loadSettings(shop);
+      saved = await updateSettings(shop, settings || {});
+    } catch (e) {
+      return sendError(res, 400, `Invalid settings: ${e.message}`);
+    }
+
+    log.info("Shop settings updated", { shop, keys: Object.keys(settings || {}) });
+    const body = { ok: true, shop, settings: publicSettings(saved) };
+
+    // Turning GA4 forwarding on needs read_orders: prompt to re-authorize when it's missing
+    // (the callback then subscribes orders/create), else make sure the topic is subscribed now
+    if (saved.ga4.enabled && !previous.ga4.enabled) {
+      const missing = missingScopes(shopData.scope, wantedScopes(saved));
+      if (missingScopes(shopData.scope, GA4_SCOPES).length) {
+        log.warn("GA4 forwarding enabled without read_orders", { shop, missing });
+        Object.assign(body, { code: "missing_scopes", missing_scopes: missing, reauthorizeUrl: reauthorizeUrl(shop, missing) });
+      } else {
+        try {
+          await registerWebhooks(shop, shopData.access_token, { host: OAUTH_HOST, shopifyFetch });
+        } catch (e) {
+          log.error("Webhook registration failed", e, { shop });
+        }
+      }
+    }
+    res.json(body);
+  } catch (e) {
+    sendError(res, 500, "Failed to save settings", e.message);
+  }
+});
+
+// "Is this shop actually tracking?" — checklist for the published (or given) theme
+app.get("/api/status", verifySession, requireScopes("read_themes"), async (req, res) => {
+  try {
+    const { themeId: requestedThemeId } = req.query;
+    const { shop, accessToken } = req.shopSession;
+    if (!accessToken) {
+      return sendError(res, 404, "Shop not installed");
+    }
+
+    const themeId = await resolveThemeId(shop, accessToken, requestedThemeId);
+    const status = await getInstallStatus(shop, accessToken, themeId);
+    res.json({ ok: true, shop, ...status });
+  } catch (e) {
+    log.shopify.apiError("GET", "/api/status", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to read installation status", e.message);
+  }
+});
+
+// All themes of the shop with their role (main, unpublished, development, ...)
+app.get("/api/themes", verifySession, requireScopes("read_themes"), async (req, res) => {
+  try {
+    const { shop, accessToken } = req.shopSession;
+    if (!accessToken) {
+      return sendError(res, 404, "Shop not installed");
+    }
+
+    const themes = await listThemes(shop, accessToken);
+    res.json({
+      ok: true,
+      shop,
+      themes: themes.map((t) => ({
+        id: t.id,
+        name: t.name,
+        role: t.role,
+        previewable: t.previewable,
+        updated_at: t.updated_at,
+      })),
+    });
+  } catch (e) {
+    log.shopify.apiError("GET", "/api/themes", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to list themes", e.message);
+  }
+});
+
+// Remove GTM + DataLayer from one theme (defaults to the published theme)
+app.post("/api/cleanup", verifySession, requireScopes(...THEME_SCOPES), async (req, res) => {
+  try {
+    const { themeId: requestedThemeId } = req.body || {};
+    const { shop, accessToken } = req.shopSession;
+    if (!accessToken) {
+      return sendError(res, 401, "Missing access token. Install the app first.");
+    }
+
+    log.shopify.apiCall("POST", "/api/cleanup", shop);
+
+    const themeId = await resolveThemeId(shop, accessToken, requestedThemeId);
+    const result = await removeFromTheme(shop, accessToken, themeId, "cleanup");
+    const installation = await getInstallation(shop);
+    if (installation && installation.themeId === String(themeId)) {
+      await clearInstallation(shop);
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    log.shopify.apiError("POST", "/api/cleanup", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to clean up theme", e.message);
+  }
+});
+
+// theme.liquid backups (saved before every write)
+app.get("/api/backups", verifySession, async (req, res) => {
+  try {
+    const { themeId } = req.query;
+    const { shop } = req.shopSession;
+    if (!(await getShop(shop))) {
+      return sendError(res, 404, "Shop not installed");
+    }
+
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+    const backups = await listThemeBackups(shop, { themeId: themeId || null, limit });
+    res.json({ ok: true, shop, backups });
+  } catch (e) {
+    sendError(res, 500, "Failed to list backups", e.message);
+  }
+});
+
+// Restore a backup; the value being replaced is itself backed up first
+app.post("/api/backups/:id/restore", verifySession, requireScopes(...THEME_SCOPES), async (req, res) => {
+  try {
+    const { shop } = req.shopSession;
+
+    const backup = await getThemeBackup(parseInt(req.params.id, 10));
+    if (!backup || backup.shop !== shop) {
+      return sendError(res, 404, "Backup not found");
+    }
+    if (checksum(backup.value) !== backup.checksum) {
+      return sendError(res, 409, "Backup checksum mismatch - refusing to restore");
+    }
+
+    const { accessToken } = req.shopSession;
+    if (!accessToken) {
+      return sendError(res, 401, "Missing access token. Install the app first.");
+    }
+
+    log.shopify.apiCall("POST", `/api/backups/${backup.id}/restore`, shop);
+
+    const asset = await getAssetIfExists(shop, accessToken, backup.theme_id, backup.asset_key);
+    const current = assetText(asset);
+    const reason = `restore:${backup.id}`;
+
+    let backupId = null;
+    if (backup.value === "" && backup.asset_key !== "layout/theme.liquid") {
+      // Backed up before the asset existed (e.g. the first DataLayer install): restore = delete
+      if (asset) {
+        backupId = await saveThemeBackup({ shop, themeId: backup.theme_id, key: backup.asset_key, value: current, reason });
+        await deleteAsset(shop, accessToken, backup.theme_id, backup.asset_key);
+      }
+    } else if (current !== backup.value) {
+      backupId = await putAssetWithBackup(
+        shop, accessToken, backup.theme_id, backup.asset_key, current, backup.value, reason
+      );
+    }
+    const installation = await syncInstallation(shop, accessToken, backup.theme_id);
+
+    log.info("Theme backup restored", { shop, restoredId: backup.id, themeId: backup.theme_id, key: backup.asset_key });
+    res.json({ ok: true, restored: backup.id, themeId: backup.theme_id, key: backup.asset_key, backupId, installation });
+  } catch (e) {
+    log.shopify.apiError("POST", "/api/backups/restore", req.shopSession.shop, e);
+    sendError(res, shopifyErrorStatus(e), "Failed to restore backup", e.message);
+  }
+});
+
+// 3) App web pixel (Customer events) through the GraphQL Admin API; the copy-paste custom pixel is the fallback
+const MANUAL_PIXEL_HINT = "Fallback: Admin → Settings → Customer events → Add custom pixel, paste the code from GET /api/pixel/source?shop=…";
+
+function pixelErrorStatus(e) {
+  return e instanceof WebPixelError ? e.status : shopifyErrorStatus(e);
+}
+
+function pixelErrorDetails(e) {
+  if (e instanceof WebPixelError) return { code: e.code, field: e.field, userErrors: e.userErrors, hint: MANUAL_PIXEL_HINT };
+  if (e instanceof ShopifyAuthError) return "Grant write_pixels, read_customer_events and reinstall the app. " + MANUAL_PIXEL_HINT;
+  return MANUAL_PIXEL_HINT;
+}
+
+// Resolve shop + token for the pixel routes (sends the error response and returns null on failure)
+function pixelContext(req, res) {
+  const { shop, accessToken } = req.shopSession;
+  if (!accessToken) {
+    sendError(res, 401, "Missing access token. Install the app first.");
+    return null;
+  }
+  return { shop, accessToken };
+}
+
+app.get("/api/pixel", verifySession, requireScopes(...PIXEL_SCOPES), async (req, res) => {
+  const ctx = pixelContext(req, res);
+  if (!ctx) return;
+  try {
+    const pixel = await getWebPixel(ctx.shop, ctx.accessToken);
+    res.json({ ok: true, connected: !!pixel, enabled: !!pixel && pixel.settings.enabled !== "false", pixel });
+  } catch (e) {
+    log.shopify.apiError("GET", "/api/pixel", ctx.shop, e);
+    sendError(res, pixelErrorStatus(e), "Failed to load web pixel", e.message);
+  }
+});
+
+// Create (or update) the app pixel with the shop's current settings
+// The shop's settings + where (and with which token) the pixel sends its events
+async function shopWebPixelSettings(shop, { enabled = true } = {}) {
+  return webPixelSettings(await loadSettings(shop), {
+    enabled,
+    collectUrl: `${OAUTH_HOST}/pixel/collect`,
+    collectToken: pixelCollectToken(shop),
+  });
+}
+
+app.post("/api/pixel/enable", verifySession, requireScopes(...PIXEL_SCOPES), async (req, res) => {
+  const ctx = pixelContext(req, res);
+  if (!ctx) return;
+  const { shop, accessToken } = ctx;
+  log.shopify.apiCall("POST", "/api/pixel/enable", shop);
+
+  let settings;
+  try {
+    settings = await shopWebPixelSettings(shop);
+  } catch (e) {
+    return sendError(res, 400, e.message);
+  }
+
+  try {
+    const { mode, pixel } = await saveWebPixel(shop, accessToken, settings);
+    log.info(`Web pixel ${mode}`, { shop, pixelId: pixel.id });
+    res.json({ ok: true, mode, pixel });
+  } catch (e) {
+    log.shopify.apiError("POST", "/api/pixel/enable", shop, e);
+    sendError(res, pixelErrorStatus(e), `Failed to enable pixel: ${e.message}`, pixelErrorDetails(e));
+  }
+});
+
+// Keep the pixel connected but silent (settings.enabled = "false")
+app.post("/api/pixel/disable", verifySession, requireScopes(...PIXEL_SCOPES), async (req, res) => {
+  const ctx = pixelContext(req, res);
+  if (!ctx) return;
+  const { shop, accessToken } = ctx;
+  try {
+    const existing = await getWebPixel(shop, accessToken);
+    if (!existing) return sendError(res, 404, "No web pixel is connected for this app on the shop");
+    // Rebuilt rather than copied: settings saved by an older extension version may no longer validate
+    const pixel = await updateWebPixel(shop, accessToken, existing.id, await shopWebPixelSettings(shop, { enabled: false }));
+    log.info("Web pixel disabled", { shop, pixelId: pixel.id });
+    res.json({ ok: true, mode: "disabled", pixel });
+  } catch (e) {
+    log.shopify.apiError("POST", "/api/pixel/disable", shop, e);
+    sendError(res, pixelErrorStatus(e), `Failed to disable pixel: ${e.message}`, pixelErrorDetails(e));
+  }
+});
+
+// Disconnect the pixel from the shop
+app.post("/api/pixel/delete", verifySession, requireScopes(...PIXEL_SCOPES), async (req, res) => {
+  const ctx = pixelContext(req, res);
+  if (!ctx) return;
+  const { shop, accessToken } = ctx;
+  try {
+    const existing = await getWebPixel(shop, accessToken);
+    if (!existing) return res.json({ ok: true, deleted: null });
+    const deleted = await deleteWebPixel(shop, accessToken, existing.id);
+    log.info("Web pixel deleted", { shop, pixelId: deleted });
+    res.json({ ok: true, deleted });
+  } catch (e) {
+    log.shopify.apiError("POST", "/api/pixel/delete", shop, e);
+    sendError(res, pixelErrorStatus(e), `Failed to delete pixel: ${e.message}`, pixelErrorDetails(e));
+  }
+});
+
+// 4) Serve the pixel source for "Copy" button: the raw template is public, the version rendered
+// with the shop's settings needs a session (sent with ?shop= or an Authorization header)
+function shopSessionIfRequested(req, res, next) {
+  if (!req.query.shop && !req.headers.authorization) return next();
+  verifySession(req, res, next);
+}
+
+app.get("/api/pixel/source", shopSessionIfRequested, async (req, res) => {
+  let src = CUSTOM_PIXEL_JS;
+  if (req.shopSession) {
+    try {
+      src = renderPixelSource(await loadSettings(req.shopSession.shop));
+    } catch (e) {
+      return sendError(res, 400, e.message);
+    }
+  }
+  res.setHeader("Content-Type", "text/javascript; charset=utf-8");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Cache-Control", "no-store, max-age=0, must-revalidate");
+  res.send(src);
+});
+
+
+// 5) Events from the web pixel extension. It runs in a web worker where GTM can't load, so it
+// POSTs { shop, token, client_id, consent, push } here (text/plain: no CORS preflight) and we
+// forward the push to the shop's GA4 property. The token comes from the pixel's settings
+// (pixelCollectToken); only PIXEL_EVENT_PARAMS are forwarded, and each shop is rate limited.
+const pixelCollectParser = express.text({ type: "*/*", limit: "64kb" });
+
+const PIXEL_COLLECT_PER_MINUTE = parseInt(process.env.PIXEL_COLLECT_PER_MINUTE || "600", 10);
+const pixelCollectWindows = new Map(); // shop -> { start, count }
+
+// Fixed one-minute window per shop (only shops with a valid token get an entry)
+function pixelCollectAllowed(shop) {
+  const now = Date.now();
+  const window = pixelCollectWindows.get(shop);
+  if (!window || now - window.start >= 60_000) {
+    pixelCollectWindows.set(shop, { start: now, count: 1 });
+    return true;
+  }
+  window.count += 1;
+  return window.count <= PIXEL_COLLECT_PER_MINUTE;
+}
+
+app.post("/pixel/collect", pixelCollectParser, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  let body;
+  try {
+    body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch (_) {
+    return sendError(res, 400, "Invalid JSON body");
+  }
+  const { shop, token, client_id: clientId, consent, push } = body || {};
+  if (!isValidShopDomain(shop) || typeof clientId !== "string" || !clientId || clientId.length > 100 || !push || typeof push !== "object") {
+    return sendError(res, 400, "Expected { shop, token, client_id, push }");
+  }
+  if (!verifyPixelCollectToken(shop, token)) {
+    return sendError(res, 401, "Invalid pixel token");
+  }
+  if (!pixelCollectAllowed(shop)) {
+    // Same body as sendError(), without an error log line per rejected event
+    res.setHeader("Retry-After", "60");
+    return res.status(429).json({ error: "Too many pixel events for this shop" });
+  }
+
+  try {
+    if (!(await getShop(shop))) return res.status(204).end();
+    const settings = await loadSettings(shop);
+    if (!settings.ga4.enabled) return res.status(204).end();
+
+    const payload = buildPixelEventPayload(push, { clientId, consent, eventPrefix: settings.eventPrefix });
+    if (payload) {
+      await sendToGA4({ measurementId: settings.ga4.measurementId, apiSecret: settings.ga4.apiSecret, payload });
+    }
+  } catch (e) {
+    log.warn("Pixel event not forwarded to GA4", { shop, event: String(push.event || ""), error: e.message });
+  }
+  res.status(204).end();
+});
 
 // ---------- Simple Embedded UI ----------
 app.get("/admin/settings", async (req, res) => {
   const shop = req.query.shop || "";
   const installed = req.query.installed === "true";
   
-  // Check if shop is in database
+  // Check if shop is in database. Granted (shops.scope) vs what the app asks for; API calls
+  // report the same as code "missing_scopes"
   let shopData = null;
-  let isAuthenticated = false;
-  if (shop && isValidShopDomain(shop)) {
-    shopData = await getShop(shop);
-    isAuthenticated = !!shopData;
-  }  
+  let scopesMissing = [];
+  try {
+    if (shop && isValidShopDomain(shop)) shopData = await getShop(shop);
+    if (shopData) scopesMissing = missingScopes(shopData.scope, wantedScopes(await loadSettings(shop)));
+  } catch (e) {
+    return sendError(res, 500, "Failed to load the shop", e.message);
+  }
+  const isAuthenticated = !!shopData;
+  if (scopesMissing.length) log.warn("Shop is missing requested scopes", { shop, missing: scopesMissing });
   const successMessage = installed ? 
     `<div class="toast ok" style="display:block">✅ App installed successfully! You can now configure GTM and DataLayer below.</div>` : '';
   
@@ -1712,6 +1334,8 @@ app.get("/admin/settings", async (req, res) => {
 <html lang="en"><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
 <title>analyticsgtm • Settings</title>
+<meta name="shopify-api-key" content="${process.env.SHOPIFY_API_KEY}">
+<script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>
 <style>
   body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;background:#f8fafc;margin:0}
   .wrap{max-width:860px;margin:40px auto;padding:0 16px}
@@ -1733,6 +1357,8 @@ app.get("/admin/settings", async (req, res) => {
   .badge{display:inline-block;padding:4px 8px;border-radius:6px;font-size:11px;font-weight:600}
   .badge-success{background:#d1fae5;color:#065f46}
   .badge-warning{background:#fef3c7;color:#92400e}
+  .preview{display:none;margin-top:12px}
+  .preview pre{max-height:360px;overflow:auto;background:#0f172a;color:#e2e8f0;border-radius:10px;padding:12px;font-size:12px;white-space:pre}
 </style>
 </head>
 <body>
@@ -1766,7 +1392,42 @@ app.get("/admin/settings", async (req, res) => {
   </div>
   ` : ''}
 
+  <div class="card" id="scopes-card" style="background:#fffbeb;border-color:#fbbf24;${scopesMissing.length ? '' : 'display:none'}">
+    <h2 style="margin:0 0 12px 0;font-size:16px">🔐 Permissions needed</h2>
+    <p class="muted" style="margin:0 0 16px 0">
+      The app is missing access scopes some features need: <strong id="scopes-missing">${scopesMissing.join(", ")}</strong>.
+      Re-authorize to grant them; theme and pixel actions fail until then.
+    </p>
+    <button class="btn" id="btn-reauth" data-url="${shop ? reauthorizeUrl(shop, scopesMissing) : ''}">Re-authorize app</button>
+  </div>
+
   ${isAuthenticated ? `
+  <div class="card">
+    <h2 class="section-title">Status</h2>
+    <p class="muted">Live check of the selected theme.</p>
+    <ul id="status" style="list-style:none;margin:0;padding:0;line-height:1.9"><li class="muted">Checking…</li></ul>
+  </div>
+
+  <div class="card">
+    <h2 class="section-title">Target theme</h2>
+    <p class="muted">GTM and DataLayer are installed into the selected theme. Pick an unpublished theme to test before publishing it.</p>
+    <div style="display:grid;grid-template-columns:1fr auto auto;gap:12px;align-items:end">
+      <div>
+        <label>Theme</label>
+        <select id="theme" style="width:100%;padding:10px 12px;border:1px solid #d1d5db;border-radius:10px"><option value="">Published theme</option></select>
+      </div>
+      <button class="btn btn-secondary" id="btn-preview-theme">Preview</button>
+      <button class="btn btn-secondary" id="btn-cleanup">Remove from theme</button>
+    </div>
+    <label style="margin-top:10px">Install mode</label>
+    <select id="install-mode" style="width:100%;padding:10px 12px;border:1px solid #d1d5db;border-radius:10px">
+      <option value="theme">Edit theme.liquid (Theme Asset API)</option>
+      <option value="app_embed">App embed (theme app extension — theme files are never edited)</option>
+    </select>
+    <div id="ok-theme" class="toast ok"></div>
+    <div id="err-theme" class="toast err"></div>
+  </div>
+
   <div class="card">
     <h2 class="section-title">1) Enable GTM</h2>
     <p class="muted">Adds GTM script in &lt;head&gt; and GTM noscript in &lt;body&gt;. Default: <code>${DEFAULT_GTM_ID}</code></p>
@@ -1779,6 +1440,14 @@ app.get("/admin/settings", async (req, res) => {
     <div style="display:flex;gap:12px;margin-top:14px">
       <button class="btn" id="btn-gtm">Enable GTM</button>
     </div>
+    <div id="preview-gtm" class="preview">
+      <p class="muted">Review the changes below, then apply them to your theme.</p>
+      <pre></pre>
+      <div style="display:flex;gap:12px">
+        <button class="btn" data-apply>Apply changes</button>
+        <button class="btn btn-secondary" data-cancel>Cancel</button>
+      </div>
+    </div>
     <div id="ok-gtm" class="toast ok"></div>
     <div id="err-gtm" class="toast err"></div>
   </div>
@@ -1786,21 +1455,75 @@ app.get("/admin/settings", async (req, res) => {
   <div class="card">
     <h2 class="section-title">2) Enable DataLayer</h2>
     <p class="muted">Creates <code>snippets/ultimate-datalayer.liquid</code> and renders it in &lt;head&gt;.</p>
+    <details style="margin-top:10px">
+      <summary style="cursor:pointer;font-weight:600">Snippet settings</summary>
+      <div class="row">
+        <div>
+          <label>Event prefix</label>
+          <input id="set-prefix" type="text" placeholder="e.g. ac_">
+        </div>
+        <div>
+          <label>Business vertical</label>
+          <input id="set-vertical" type="text" placeholder="retail">
+        </div>
+      </div>
+      <div style="margin-top:10px;line-height:1.8">
+        <label style="font-weight:400"><input id="set-formatted" type="checkbox"> Formatted item ID (<code>shopify_{country}_{product}_{variant}</code>)</label>
+        <label style="font-weight:400"><input id="set-remarketing" type="checkbox"> Dynamic remarketing data</label>
+        <label style="font-weight:400"><input id="set-redirect" type="checkbox"> Add to Cart redirects to the cart page</label>
+        <label style="font-weight:400"><input id="set-ajaxcart" type="checkbox"> Cart increment/decrement uses AJAX (no page refresh)</label>
+        <label style="font-weight:400"><input id="set-gclid" type="checkbox"> Checkout pixel: append gclid to <code>page_location</code></label>
+      </div>
+      <div class="row">
+        <div>
+          <label>Begin checkout selectors <span class="muted">(one per line)</span></label>
+          <textarea id="set-checkout" rows="4" style="width:100%;border:1px solid #d1d5db;border-radius:10px;padding:8px"></textarea>
+        </div>
+        <div>
+          <label>Mini cart selectors <span class="muted">(one per line)</span></label>
+          <textarea id="set-minicart" rows="4" style="width:100%;border:1px solid #d1d5db;border-radius:10px;padding:8px"></textarea>
+        </div>
+      </div>
+      <div style="display:flex;gap:12px;margin-top:14px">
+        <button class="btn btn-secondary" id="btn-settings">Save settings</button>
+      </div>
+      <p class="muted">Saved settings are applied the next time you click <b>Enable DataLayer</b>.</p>
+      <div id="ok-settings" class="toast ok"></div>
+      <div id="err-settings" class="toast err"></div>
+    </details>
     <div style="display:flex;gap:12px;margin-top:14px">
       <button class="btn" id="btn-dl">Enable DataLayer</button>
     </div>
+    <div id="preview-dl" class="preview">
+      <p class="muted">Review the changes below, then apply them to your theme.</p>
+      <pre></pre>
+      <div style="display:flex;gap:12px">
+        <button class="btn" data-apply>Apply changes</button>
+        <button class="btn btn-secondary" data-cancel>Cancel</button>
+      </div>
+    </div>
     <div id="ok-dl" class="toast ok"></div>
     <div id="err-dl" class="toast err"></div>
   </div>
 
   <div class="card">
-    <h2 class="section-title">3) Manual install — Custom Pixel (Customer events)</h2>
-    <p class="muted">To Enable Checkout Event tracking.</p>
+    <h2 class="section-title">3) Checkout tracking — Web Pixel (Customer events)</h2>
+    <p class="muted">Connects the app's web pixel. It runs in Shopify's strict sandbox where GTM can't load, so it sends checkout page views, shipping and payment steps to GA4 through the app once <b>Server-side purchase tracking</b> below is on (purchases come from the orders webhook). Click <b>Connect web pixel</b> again after changing settings. For GTM tags on checkout, use the custom pixel below.</p>
+    <div style="display:flex;gap:12px;margin-top:14px;flex-wrap:wrap">
+      <button class="btn" id="btn-pixel-enable">Connect web pixel</button>
+      <button class="btn btn-secondary" id="btn-pixel-disable">Disable</button>
+      <button class="btn btn-secondary" id="btn-pixel-delete">Disconnect</button>
+    </div>
+    <div id="ok-pixel" class="toast ok"></div>
+    <div id="err-pixel" class="toast err"></div>
+
+    <details style="margin-top:14px">
+    <summary style="cursor:pointer;font-weight:600">GTM on checkout — Custom Pixel</summary>
+    <p class="muted">Custom pixels run in the lax sandbox, so they can load your GTM container and fire its tags on checkout. Paste the pixel code by hand; the copied code already contains your GTM ID and settings.</p>
     <ol style="margin:0 0 12px 18px; line-height:1.6">
       <li>Go to <b>Settings → Customer events</b></li>
       <li>Click <b>Add custom pixel</b></li>      
       <li>Click <b>Copy custom pixel code</b> below and <b>paste</b> it into the editor</li>
-      <li><b>Update GTM_container_id</b> with your GTM ID (line 5)</li>
       <li><b>Save</b> → <b>Connect</b></li>
     </ol>
 
@@ -1811,6 +1534,52 @@ app.get("/admin/settings", async (req, res) => {
 
     <div id="ok-copy" class="toast ok">Copied!</div>
     <div id="err-copy" class="toast err">Copy failed.</div>
+    </details>
+  </div>
+
+  <div class="card">
+    <h2 class="section-title">Consent Mode v2</h2>
+    <p class="muted">Adds <code>gtag('consent','default',…)</code> before the GTM loader and forwards the visitor's Shopify cookie-banner choice as <code>gtag('consent','update',…)</code>. Re-apply GTM and the DataLayer after saving.</p>
+    <label style="font-weight:400"><input id="consent-enabled" type="checkbox"> Enable Consent Mode v2</label>
+    <label style="font-weight:400"><input id="consent-redaction" type="checkbox"> Redact ads data while <code>ad_storage</code> is denied</label>
+    <label style="margin-top:10px">wait_for_update (ms)</label>
+    <input id="consent-wait" type="number" min="0" max="10000" step="100">
+    <label style="margin-top:10px">Default states per region (JSON — an empty <code>region</code> applies everywhere else)</label>
+    <textarea id="consent-defaults" rows="8" style="width:100%;font-family:monospace;font-size:12px;padding:10px 12px;border:1px solid #d1d5db;border-radius:10px"></textarea>
+    <div style="display:flex;gap:12px;margin-top:14px">
+      <button class="btn" id="btn-consent">Save consent settings</button>
+    </div>
+    <div id="ok-consent" class="toast ok"></div>
+    <div id="err-consent" class="toast err"></div>
+  </div>
+
+  <div class="card">
+    <h2 class="section-title">Server-side purchase tracking (GA4)</h2>
+    <p class="muted">Sends <code>purchase</code> to GA4 Measurement Protocol from the <code>orders/create</code> webhook, so ad blockers can't drop it. Requires the <code>read_orders</code> scope.</p>
+    <div class="row">
+      <div>
+        <label>Measurement ID</label>
+        <input id="ga4-id" type="text" placeholder="G-XXXXXXXXXX">
+      </div>
+      <div>
+        <label>API secret</label>
+        <input id="ga4-secret" type="password" style="width:100%;padding:10px 12px;border:1px solid #d1d5db;border-radius:10px" placeholder="Admin → Data streams → Measurement Protocol API secrets">
+      </div>
+    </div>
+    <label style="font-weight:400;margin-top:10px"><input id="ga4-enabled" type="checkbox"> Forward purchases to GA4</label>
+    <div style="display:flex;gap:12px;margin-top:14px">
+      <button class="btn" id="btn-ga4">Save GA4 settings</button>
+    </div>
+    <div id="ok-ga4" class="toast ok"></div>
+    <div id="err-ga4" class="toast err"></div>
+  </div>
+
+  <div class="card">
+    <h2 class="section-title">Theme backups</h2>
+    <p class="muted">A copy of <code>layout/theme.liquid</code> is saved before every change. Restore one to undo a change.</p>
+    <div id="backups" class="muted">Loading…</div>
+    <div id="ok-backup" class="toast ok"></div>
+    <div id="err-backup" class="toast err"></div>
   </div>
   ` : ''}
   
@@ -1832,6 +1601,56 @@ function val(id) {
   var el = document.getElementById(id);
   return (el ? el.value : '').trim();
 }
+// /api/* calls carry an App Bridge session token; the server takes the shop from it
+async function apiFetch(url, opts) {
+  opts = Object.assign({}, opts);
+  opts.headers = Object.assign({}, opts.headers);
+  if (window.shopify && shopify.idToken) opts.headers['Authorization'] = 'Bearer ' + await shopify.idToken();
+  var r = await fetch(url, opts);
+  // No staff (online) session and token exchange failed: authorize this user
+  if (r.status === 401) {
+    r.clone().json().then(function (j) {
+      if (j.code === 'online_session_required') openAuthPopup(j.reauthorizeUrl);
+    }).catch(function () {});
+  }
+  if (r.status === 403) {
+    r.clone().json().then(function (j) {
+      if (j.code === 'missing_scopes') showScopePrompt(j.missing_scopes, j.reauthorizeUrl);
+    }).catch(function () {});
+  }
+  return r;
+}
+
+// OAuth runs in a popup (Shopify's consent screen can't be framed); /auth/callback reloads this page
+function openAuthPopup(authUrl) {
+  var width = 600;
+  var height = 700;
+  var left = (screen.width - width) / 2;
+  var top = (screen.height - height) / 2;
+  var popup = window.open(
+    authUrl, 
+    'shopify-oauth',
+    'width=' + width + ',height=' + height + ',left=' + left + ',top=' + top + ',toolbar=no,location=no,status=no,menubar=no,scrollbars=yes,resizable=yes'
+  );
+  
+  // Fallback if popup blocked
+  if (!popup || popup.closed || typeof popup.closed === 'undefined') {
+    window.location.href = authUrl;
+  }
+}
+
+// --- Missing scopes: re-authorize ---
+function showScopePrompt(scopes, url) {
+  var card = document.getElementById('scopes-card');
+  if (!card || !scopes || !scopes.length) return;
+  document.getElementById('scopes-missing').textContent = scopes.join(', ');
+  document.getElementById('btn-reauth').setAttribute('data-url', url);
+  card.style.display = 'block';
+  card.scrollIntoView({ behavior: 'smooth' });
+}
+document.getElementById('btn-reauth').addEventListener('click', function () {
+  openAuthPopup(this.getAttribute('data-url'));
+});
 
 // --- OAuth Install ---
 var btnOAuth = document.getElementById('btn-oauth');
@@ -1846,59 +1665,312 @@ if (btnOAuth) {
       shop = shop + '.myshopify.com';
     }
     
-    // Open OAuth in popup window to avoid iframe issues
-    var authUrl = '/auth?shop=' + encodeURIComponent(shop);
-    var width = 600;
-    var height = 700;
-    var left = (screen.width - width) / 2;
-    var top = (screen.height - height) / 2;
-    var popup = window.open(
-      authUrl, 
-      'shopify-oauth',
-      'width=' + width + ',height=' + height + ',left=' + left + ',top=' + top + ',toolbar=no,location=no,status=no,menubar=no,scrollbars=yes,resizable=yes'
-    );
-    
-    // Fallback if popup blocked
-    if (!popup || popup.closed || typeof popup.closed === 'undefined') {
-      window.location.href = authUrl;
-    }
+    openAuthPopup('/auth?shop=' + encodeURIComponent(shop));
   });
 }
 
-// --- GTM ---
-var btnGtm = document.getElementById('btn-gtm');
-if (btnGtm) {
-  btnGtm.addEventListener('click', async function () {
-    const payload = { shop: val('shop'), gtmId: val('gtm') };
+// --- Status checklist ---
+function loadStatus() {
+  var list = document.getElementById('status');
+  if (!list) return;
+  var q = '/api/status?shop=' + encodeURIComponent(val('shop')) + (val('theme') ? '&themeId=' + encodeURIComponent(val('theme')) : '');
+  apiFetch(q, { cache: 'no-store' })
+    .then(function (r) { return r.json(); })
+    .then(function (j) {
+      if (!j.checks) throw new Error(j.error || 'error');
+      var c = j.checks;
+      var items = j.mode === 'app_embed' ? [
+        [c.appEmbed.activated, 'analyticsgtm app embed activated' + (c.appEmbed.gtmId ? ' (' + c.appEmbed.gtmId + ')' : '')],
+        [c.pixel.ok, 'analyticsgtm web pixel enabled'],
+      ] : [
+        [c.gtmHead.ok, 'GTM script in &lt;head&gt;' + (c.gtmHead.containerId ? ' (' + c.gtmHead.containerId + ')' : '')],
+        [c.gtmNoscript.ok, 'GTM noscript in &lt;body&gt;' + (c.gtmNoscript.containerId ? ' (' + c.gtmNoscript.containerId + ')' : '')],
+        [c.snippet.exists, 'DataLayer snippet exists'],
+        [c.snippet.upToDate, 'DataLayer snippet is up to date' + (c.snippet.exists ? ' (installed ' + (c.snippet.version || 'unversioned') + ', latest ' + c.snippet.serverVersion + ')' : '')],
+        [c.renderTag.ok, 'Snippet rendered from theme.liquid'],
+        [c.pixel.ok, 'analyticsgtm web pixel enabled'],
+      ];
+      list.innerHTML = items.map(function (i) {
+        return '<li>' + (i[0] ? '✅ ' : '❌ ') + i[1] + '</li>';
+      }).join('');
+    })
+    .catch(function (e) { list.innerHTML = '<li class="muted">Unable to check status: ' + e.message + '</li>'; });
+}
+
+// --- Target theme ---
+var themeSelect = document.getElementById('theme');
+if (themeSelect) {
+  apiFetch('/api/themes?shop=' + encodeURIComponent(val('shop')), { cache: 'no-store' })
+    .then(function (r) { return r.json(); })
+    .then(function (j) {
+      (j.themes || []).forEach(function (t) {
+        var opt = document.createElement('option');
+        opt.value = t.id;
+        opt.textContent = t.name + ' (' + t.role + ')';
+        if (t.role === 'main') opt.selected = true;
+        themeSelect.appendChild(opt);
+      });
+      loadStatus();
+    })
+    .catch(function () { loadStatus(); });
+  themeSelect.addEventListener('change', loadStatus);
+
+  document.getElementById('btn-preview-theme').addEventListener('click', function () {
+    var url = 'https://' + val('shop') + '/' + (val('theme') ? '?preview_theme_id=' + encodeURIComponent(val('theme')) : '');
+    var win = window.open(url, '_blank');
+    if (win) { try { win.opener = null; } catch(e) {} }
+  });
+
+  document.getElementById('install-mode').addEventListener('change', async function () {
     try {
-      const r = await fetch('/api/gtm/enable', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
+      const r = await apiFetch('/api/settings', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ shop: val('shop'), settings: { installMode: val('install-mode') } }) });
       const j = await r.json().catch(function(){return{};});
       if(!r.ok || j.error) throw new Error(j.error || 'error');
-      toast('ok-gtm', true, 'GTM Generated.');
-    } catch(e) { toast('err-gtm', false, 'Error: ' + e.message); }
+      toast('ok-theme', true, j.settings.installMode === 'app_embed' ? 'App embed mode: activate the embed in the theme editor.' : 'Theme mode: GTM and DataLayer are written to theme.liquid.');
+      loadStatus();
+    } catch(e) { toast('err-theme', false, 'Error: ' + e.message); }
+  });
+
+  document.getElementById('btn-cleanup').addEventListener('click', async function () {
+    if (!confirm('Remove GTM and the DataLayer snippet from this theme? theme.liquid is backed up first.')) return;
+    try {
+      await postJson('/api/cleanup', { shop: val('shop'), themeId: val('theme') });
+      toast('ok-theme', true, 'Removed from theme.');
+      loadBackups();
+      loadStatus();
+    } catch(e) { toast('err-theme', false, 'Error: ' + e.message); }
+  });
+}
+
+// --- Preview (dry run) then apply ---
+async function postJson(url, payload) {
+  const r = await apiFetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
+  const j = await r.json().catch(function(){return{};});
+  if(!r.ok || j.error) throw new Error(j.error || 'error');
+  return j;
+}
+function colorDiff(pre, diff) {
+  pre.innerHTML = '';
+  diff.split('\\n').forEach(function (line) {
+    var span = document.createElement('span');
+    span.textContent = line + '\\n';
+    if (line.indexOf('+') === 0 && line.indexOf('+++') !== 0) span.style.color = '#86efac';
+    else if (line.indexOf('-') === 0 && line.indexOf('---') !== 0) span.style.color = '#fca5a5';
+    else if (line.indexOf('@@') === 0) span.style.color = '#93c5fd';
+    pre.appendChild(span);
+  });
+}
+async function previewThenApply(key, url, payload, okMsg) {
+  var box = document.getElementById('preview-' + key);
+  try {
+    const preview = await postJson(url, Object.assign({}, payload, { dryRun: true }));
+    if (preview.mode === 'app_embed') { box.style.display = 'none'; showAppEmbed(key, preview.appEmbed); loadStatus(); return; }
+    if (!preview.changed) { box.style.display = 'none'; toast('ok-' + key, true, 'Already up to date — nothing to change.'); return; }
+    colorDiff(box.querySelector('pre'), preview.diff);
+    box.style.display = 'block';
+    box.querySelector('[data-cancel]').onclick = function () { box.style.display = 'none'; };
+    box.querySelector('[data-apply]').onclick = async function () {
+      try {
+        box.style.display = 'none';
+        toast('ok-' + key, true, 'Applying…');
+        // Synchronous, with this session's token: the write is made as the signed-in staff member
+        await postJson(url, payload);
+        toast('ok-' + key, true, okMsg);
+        loadBackups();
+        loadStatus();
+      } catch(e) { toast('err-' + key, false, 'Error: ' + e.message); }
+    };
+  } catch(e) { toast('err-' + key, false, 'Error: ' + e.message); }
+}
+
+// App embed mode: nothing to write, offer the theme editor when the embed is off
+function showAppEmbed(key, embed) {
+  if (embed.activated) { toast('ok-' + key, true, 'App embed is active on this theme' + (embed.gtmId ? ' (' + embed.gtmId + ')' : '') + '.'); return; }
+  if (confirm('The analyticsgtm app embed is not activated on this theme. Open the theme editor to activate it?')) {
+    var win = window.open(embed.activationUrl, '_blank');
+    if (win) { try { win.opener = null; } catch(e) {} }
+  }
+}
+
+// --- GTM ---
+var btnGtm = document.getElementById('btn-gtm');
+if (btnGtm) {
+  btnGtm.addEventListener('click', function () {
+    previewThenApply('gtm', '/api/gtm/enable', { shop: val('shop'), gtmId: val('gtm'), themeId: val('theme') }, 'GTM Generated.');
   });
 }
 
 // --- DataLayer ---
 var btnDl = document.getElementById('btn-dl');
 if (btnDl) {
-  btnDl.addEventListener('click', async function () {
-    const payload = { shop: val('shop') };
+  btnDl.addEventListener('click', function () {
+    previewThenApply('dl', '/api/datalayer/enable', { shop: val('shop'), themeId: val('theme') }, 'DataLayer snippet Generated.');
+  });
+}
+
+// --- Snippet settings ---
+function lines(id) {
+  return val(id).split('\\n').map(function(l){ return l.trim(); }).filter(Boolean);
+}
+function checked(id) {
+  var el = document.getElementById(id);
+  return !!(el && el.checked);
+}
+function fillSettings(s) {
+  if (document.getElementById('install-mode')) document.getElementById('install-mode').value = s.installMode;
+  document.getElementById('set-prefix').value = s.eventPrefix || '';
+  document.getElementById('set-vertical').value = s.dataSchema.dynamicRemarketing.business_vertical || '';
+  document.getElementById('set-formatted').checked = !!s.formattedItemId;
+  document.getElementById('set-remarketing').checked = !!s.dataSchema.dynamicRemarketing.show;
+  document.getElementById('set-redirect').checked = !!s.isAddToCartRedirect;
+  document.getElementById('set-ajaxcart').checked = !!s.isAjaxCartIncrementDecrement;
+  document.getElementById('set-gclid').checked = !!s.gclidWithPageLocation;
+  document.getElementById('set-checkout').value = (s.beginCheckoutButtons || []).join('\\n');
+  document.getElementById('set-minicart').value = (s.miniCartButton || []).join('\\n');
+  if (s.gtmId && document.getElementById('gtm')) document.getElementById('gtm').value = s.gtmId;
+  document.getElementById('consent-enabled').checked = !!s.consent.enabled;
+  document.getElementById('consent-redaction').checked = !!s.consent.adsDataRedaction;
+  document.getElementById('consent-wait').value = s.consent.waitForUpdate;
+  document.getElementById('consent-defaults').value = JSON.stringify(s.consent.defaults, null, 2);
+  document.getElementById('ga4-id').value = s.ga4.measurementId || '';
+  document.getElementById('ga4-secret').value = '';
+  document.getElementById('ga4-secret').placeholder = s.ga4.hasApiSecret ? 'Saved — leave empty to keep' : 'Admin → Data streams → Measurement Protocol API secrets';
+  document.getElementById('ga4-enabled').checked = !!s.ga4.enabled;
+}
+var btnSettings = document.getElementById('btn-settings');
+if (btnSettings) {
+  apiFetch('/api/settings?shop=' + encodeURIComponent(val('shop')))
+    .then(function (r) { return r.json(); })
+    .then(function (j) { if (j.settings) fillSettings(j.settings); })
+    .catch(function () {});
+
+  btnSettings.addEventListener('click', async function () {
+    const payload = {
+      shop: val('shop'),
+      settings: {
+        eventPrefix: val('set-prefix'),
+        formattedItemId: checked('set-formatted'),
+        isAddToCartRedirect: checked('set-redirect'),
+        isAjaxCartIncrementDecrement: checked('set-ajaxcart'),
+        gclidWithPageLocation: checked('set-gclid'),
+        dataSchema: { dynamicRemarketing: { show: checked('set-remarketing'), business_vertical: val('set-vertical') || 'retail' } },
+        beginCheckoutButtons: lines('set-checkout'),
+        miniCartButton: lines('set-minicart'),
+      },
+    };
     try {
-      const r = await fetch('/api/datalayer/enable', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
+      const r = await apiFetch('/api/settings', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
       const j = await r.json().catch(function(){return{};});
       if(!r.ok || j.error) throw new Error(j.error || 'error');
-      toast('ok-dl', true, 'DataLayer snippet Generated.');
-    } catch(e) { toast('err-dl', false, 'Error: ' + e.message); }
+      fillSettings(j.settings);
+      toast('ok-settings', true, 'Settings saved.');
+    } catch(e) { toast('err-settings', false, 'Error: ' + e.message); }
   });
 }
 
-// --- Copy custom pixel code (from in-file source) ---
+// --- Consent Mode v2 ---
+var btnConsent = document.getElementById('btn-consent');
+if (btnConsent) {
+  btnConsent.addEventListener('click', async function () {
+    try {
+      var defaults;
+      try { defaults = JSON.parse(val('consent-defaults') || '[]'); }
+      catch (_) { throw new Error('Default states must be valid JSON'); }
+      var consent = {
+        enabled: checked('consent-enabled'),
+        adsDataRedaction: checked('consent-redaction'),
+        waitForUpdate: parseInt(val('consent-wait') || '0', 10),
+        defaults: defaults
+      };
+      const r = await apiFetch('/api/settings', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ shop: val('shop'), settings: { consent: consent } }) });
+      const j = await r.json().catch(function(){return{};});
+      if(!r.ok || j.error) throw new Error(j.error || 'error');
+      fillSettings(j.settings);
+      toast('ok-consent', true, 'Consent settings saved. Re-apply GTM and the DataLayer to publish them.');
+    } catch(e) { toast('err-consent', false, 'Error: ' + e.message); }
+  });
+}
+
+// --- GA4 server-side forwarding ---
+var btnGa4 = document.getElementById('btn-ga4');
+if (btnGa4) {
+  btnGa4.addEventListener('click', async function () {
+    var ga4 = { enabled: checked('ga4-enabled'), measurementId: val('ga4-id') };
+    if (val('ga4-secret')) ga4.apiSecret = val('ga4-secret');
+    try {
+      const r = await apiFetch('/api/settings', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ shop: val('shop'), settings: { ga4: ga4 } }) });
+      const j = await r.json().catch(function(){return{};});
+      if(!r.ok || j.error) throw new Error(j.error || 'error');
+      fillSettings(j.settings);
+      if (j.code === 'missing_scopes') showScopePrompt(j.missing_scopes, j.reauthorizeUrl);
+      toast('ok-ga4', true, j.code === 'missing_scopes' ? 'GA4 settings saved. Re-authorize the app to grant read_orders.' : 'GA4 settings saved.');
+    } catch(e) { toast('err-ga4', false, 'Error: ' + e.message); }
+  });
+}
+
+// --- Theme backups ---
+function loadBackups() {
+  var box = document.getElementById('backups');
+  if (!box) return;
+  apiFetch('/api/backups?shop=' + encodeURIComponent(val('shop')), { cache: 'no-store' })
+    .then(function (r) { return r.json(); })
+    .then(function (j) {
+      var list = j.backups || [];
+      if (!list.length) { box.textContent = 'No backups yet.'; return; }
+      box.innerHTML = '';
+      list.forEach(function (b) {
+        var row = document.createElement('div');
+        row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;padding:6px 0;border-bottom:1px solid #f3f4f6';
+        var label = document.createElement('span');
+        label.textContent = new Date(b.created_at * 1000).toLocaleString() + ' — theme ' + b.theme_id + ' — ' + (b.reason || 'write') + ' (' + b.size + ' bytes)';
+        var btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = 'Restore';
+        btn.addEventListener('click', function () { restoreBackup(b.id); });
+        row.appendChild(label); row.appendChild(btn);
+        box.appendChild(row);
+      });
+    })
+    .catch(function () { box.textContent = 'Unable to load backups.'; });
+}
+async function restoreBackup(id) {
+  if (!confirm('Restore this version of theme.liquid? The current version will be backed up first.')) return;
+  try {
+    const r = await apiFetch('/api/backups/' + id + '/restore', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ shop: val('shop') }) });
+    const j = await r.json().catch(function(){return{};});
+    if(!r.ok || j.error) throw new Error(j.error || 'error');
+    toast('ok-backup', true, 'Backup restored.');
+    loadBackups();
+  } catch(e) { toast('err-backup', false, 'Error: ' + e.message); }
+}
+loadBackups();
+
+// --- App web pixel (GraphQL) ---
+[
+  ['btn-pixel-enable', '/api/pixel/enable', function (j) { return 'Web pixel ' + j.mode + '.'; }],
+  ['btn-pixel-disable', '/api/pixel/disable', function () { return 'Web pixel disabled.'; }],
+  ['btn-pixel-delete', '/api/pixel/delete', function (j) { return j.deleted ? 'Web pixel disconnected.' : 'No web pixel was connected.'; }],
+].forEach(function (action) {
+  var btn = document.getElementById(action[0]);
+  if (!btn) return;
+  btn.addEventListener('click', async function () {
+    try {
+      const j = await postJson(action[1], { shop: val('shop') });
+      toast('ok-pixel', true, action[2](j));
+      loadStatus();
+    } catch(e) { toast('err-pixel', false, 'Error: ' + e.message + ' — use the manual fallback below.'); }
+  });
+});
+
+// --- Copy custom pixel code (rendered for this shop) ---
 var copyBtn = document.getElementById('btn-copy-pixel');
 if (copyBtn) {
   copyBtn.addEventListener('click', function () {
-    fetch('/api/pixel/source', { cache: 'no-store' })
-      .then(function (r) { if (!r.ok) throw new Error('Unable to load pixel source'); return r.text(); })
+    apiFetch('/api/pixel/source?shop=' + encodeURIComponent(val('shop')), { cache: 'no-store' })
+      .then(function (r) {
+        if (!r.ok) return r.json().catch(function(){return{};}).then(function (j) { throw new Error(j.error || 'Unable to load pixel source'); });
+        return r.text();
+      })
       .then(function (code) {
         if (navigator.clipboard && navigator.clipboard.writeText) {
           return navigator.clipboard.writeText(code);
@@ -1936,272 +2008,207 @@ if (openBtn) {
 </body></html>`);
 });
 
-// ---------- APP UNINSTALL / CLEANUP WEBHOOK ----------
+// ---------- WEBHOOKS (see server/webhooks.js) ----------
+// HMAC verification, shop validation and X-Shopify-Webhook-Id dedup happen before these handlers run.
 
-// Ensure raw body is available just for webhook route
-app.post(
-  "/webhooks/app/uninstalled",
-  express.raw({ type: "application/json", limit: "256kb" }),
-  async (req, res) => {
-    try {
-      // Attach rawBody for verification
-      req.rawBody = req.body ? req.body.toString() : "";
-
-      // Verify webhook HMAC
-      const hmacHeader = req.headers["x-shopify-hmac-sha256"];
-      if (!verifyWebhookHmac(req.rawBody, hmacHeader)) {
-        log.warn("Webhook verification failed", { hmac: !!hmacHeader });
-        return res.status(401).send("Webhook verification failed");
-      }
+// App uninstall: strip our code from every theme we touched, disable the pixel, forget the shop.
+// Runs as a background job so the webhook answers well inside Shopify's 5s timeout.
+async function cleanupUninstalledShop(shop) {
+  // Load access token from database
+  const shopData = await getShop(shop);
 
-      const payload = JSON.parse(req.rawBody || "{}");
-      const shop = req.headers["x-shopify-shop-domain"] || payload?.domain || payload?.shop_domain;
-      
-      if (!shop || !isValidShopDomain(shop)) {
-        log.warn("Invalid shop domain in webhook", { shop });
-        return res.status(400).json({ ok: false, error: "Invalid shop domain" });
-      }
+  if (!shopData || !shopData.access_token) {
+    log.warn("No stored access token for shop - cannot auto-clean", { shop });
+    return { warning: "no_access_token" };
+  }
 
-      log.shopify.webhook("app/uninstalled", shop);
+  const accessToken = shopData.access_token;
 
-      // Load access token from database
-      const shopData = await getShop(shop);
-      
-      if (!shopData || !shopData.access_token) {
-        log.warn("No stored access token for shop - cannot auto-clean", { shop });
-        // Still respond 200 to prevent Shopify retries
-        return res.status(200).json({ ok: true, warning: "no_access_token" });
-      }
+  // 1) Themes to clean: the published theme plus every theme we have written to
+  const themeIds = new Set(await listBackedUpThemeIds(shop));
+  try {
+    themeIds.add(String(await getMainThemeId(shop, accessToken)));
+  } catch (e) {
+    log.warn("Failed to get main theme", e, { shop });
+  }
 
-      const accessToken = shopData.access_token;
+  // 2) + 3) Remove theme.liquid GTM blocks + render tag, delete snippet
+  for (const themeId of themeIds) {
+    try {
+      await removeFromTheme(shop, accessToken, themeId, "uninstall");
+    } catch (e) {
+      log.error("Failed to strip GTM from theme.liquid", e, { shop, themeId });
+    }
+  }
 
-      // 1) Find main theme
-      let themeId;
-      try {
-        themeId = await getMainThemeId(shop, accessToken);
-      } catch (e) {
-        log.warn("Failed to get main theme", e, { shop });
-      }
+  // 4) Disconnect the app web pixel (usually already gone: Shopify removes app pixels on uninstall)
+  try {
+    const pixel = await getWebPixel(shop, accessToken);
+    if (pixel) {
+      await deleteWebPixel(shop, accessToken, pixel.id);
+      log.info("Web pixel deleted", { shop, pixelId: pixel.id });
+    }
+  } catch (e) {
+    log.warn("Failed to delete web pixel", { shop, error: e.message });
+  }
 
-      // 2) Remove theme.liquid GTM blocks + render tag
-      if (themeId) {
-        try {
-          const themeKey = "layout/theme.liquid";
-          const asset = await getAsset(shop, accessToken, themeId, themeKey).catch(() => null);
-          
-          if (asset) {
-            const orig = asset.value || Buffer.from(asset.attachment || "", "base64").toString("utf8");
-            const stripped = stripGTMAndRender(orig);
-            
-            if (stripped !== orig) {
-              await putAsset(shop, accessToken, themeId, themeKey, stripped);
-              log.info("GTM blocks removed from theme.liquid", { shop, themeId });
-            }
-          }
-        } catch (e) {
-          log.error("Failed to strip GTM from theme.liquid", e, { shop });
-        }
+  // 5) Remove shop from database
+  try {
+    const deleted = await deleteShop(shop);
+    if (deleted) {
+      log.info("Shop removed from database", { shop });
+    }
+  } catch (e) {
+    log.error("Failed to remove shop from database", e, { shop });
+  }
 
-        // 3) Delete snippet asset (ultimate-datalayer.liquid)
-        try {
-          await deleteAsset(shop, accessToken, themeId, "snippets/ultimate-datalayer.liquid");
-          log.info("DataLayer snippet deleted", { shop, themeId });
-        } catch (e) {
-          log.warn("Failed to delete snippet", e, { shop });
-        }
-      }
+  return { shop, themes: [...themeIds] };
+}
 
-      // 4) Disable / delete custom web pixel(s) if present
-      try {
-        const API = `https://${shop}/admin/api/2025-10`;
-        const headers = {
-          "X-Shopify-Access-Token": accessToken,
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        };
-        
-        const lRes = await fetch(`${API}/web_pixels.json?limit=50`, { method: "GET", headers });
-        const lJson = await lRes.json().catch(() => ({}));
-        const pixels = lJson.web_pixels || [];
-        
-        for (const p of pixels) {
-          // Disable pixels by name or type
-          if ((p.type === "CUSTOM") || (p.name && p.name.toLowerCase().includes("analyticsgtm"))) {
-            // Disable the pixel
-            await fetch(`${API}/web_pixels/${p.id}.json`, {
-              method: "PUT",
-              headers,
-              body: JSON.stringify({ web_pixel: { id: p.id, enabled: false } }),
-            }).catch(() => {});
-            
-            log.info("Custom pixel disabled", { shop, pixelId: p.id, pixelName: p.name });
-          }
-        }
-      } catch (e) {
-        log.error("Failed to disable web pixels", e, { shop });
-      }
+// A newly published theme has none of our blocks: re-run the recorded installation on it
+async function reapplyToPublishedTheme(shop, themeId) {
+  const shopData = await getShop(shop);
+  const installation = await getInstallation(shop);
+  if (!shopData?.access_token || !installation) {
+    log.info("Theme published - nothing to re-apply", { shop, themeId });
+    return { skipped: true };
+  }
+  // App embeds are activated per theme by the merchant; just report whether it is on
+  const settings = await loadSettings(shop);
+  if (settings.installMode === "app_embed") {
+    const appEmbed = await getAppEmbedStatus(shop, shopData.access_token, themeId, settings);
+    if (!appEmbed.activated) log.warn("Theme published without the app embed activated", { shop, themeId });
+    return { skipped: true, appEmbed };
+  }
 
-      // 5) Remove shop from database
-      try {
-        const deleted = deleteShop(shop);
-        if (deleted) {
-          log.info("Shop removed from database", { shop });
-        }
-      } catch (e) {
-        log.error("Failed to remove shop from database", e, { shop });
-      }
+  const result = await reapplyInstallation(shop, shopData.access_token, themeId, installation, "theme_publish");
+  await saveInstallation(shop, { themeId, datalayerVersion: result.datalayer?.version });
+  log.info("Installation re-applied to published theme", { shop, ...result });
+  return result;
+}
 
-      // Respond success
-      res.status(200).json({ ok: true, shop });
-    } catch (err) {
-      log.error("Uninstall webhook error", err);
-      // Return 200 to avoid repeated retries
-      res.status(200).json({ ok: false, error: "internal_error" });
-    }
-  }
-);
+defineJob("shop.uninstall_cleanup", (_payload, { shop }) => cleanupUninstalledShop(shop));
+defineJob("theme.reapply", ({ themeId }, { shop }) => reapplyToPublishedTheme(shop, themeId));
 
+onWebhook("app/uninstalled", async ({ shop }) => ({
+  jobId: await enqueueJob("shop.uninstall_cleanup", { shop }),
+}));
 
-// Small root
-app.get("/", (_req, res) => {
-  res.type("html").send(`<!doctype html><meta charset="utf-8"><title>analyticsgtm</title>
-  <h1>analyticsgtm</h1><p><a href="/admin/settings">Open Settings UI</a></p>`);
+onWebhook("themes/publish", async ({ shop, payload: theme }) => {
+  if (!theme.id || !(await getInstallation(shop))) return { skipped: true };
+  return { jobId: await enqueueJob("theme.reapply", { shop, payload: { themeId: theme.id } }) };
 });
 
-// Debug endpoint to check OAuth URL generation
-app.get("/debug/oauth-url", (req, res) => {
-  const shop = req.query.shop || "test-store.myshopify.com";
-  const testNonce = "test-nonce-123";
-  const authUrl = buildAuthorizationUrl(shop, testNonce);
-  res.json({
-    shop,
-    nonce: testNonce,
-    generatedAuthUrl: authUrl,
-    envVars: {
-      HOST: process.env.HOST || "not set",
-      RENDER_EXTERNAL_URL: process.env.RENDER_EXTERNAL_URL || "not set",
-      NODE_ENV: process.env.NODE_ENV || "not set"
-    },
-    useLegacyInstallFlow: USE_LEGACY_INSTALL_FLOW,
-    requestedScopes: getRequestedScopes()
+// Forward the purchase server-side (GA4 Measurement Protocol) so ad blockers / consent banners can't drop it.
+// Needs read_orders; the subscription is skipped when the scope is missing. The send runs as a job so
+// a GA4 or Admin API outage is retried instead of losing the purchase.
+defineJob("ga4.purchase", async ({ order }, { shop }) => {
+  const settings = await loadSettings(shop);
+  if (!settings.ga4.enabled) return { skipped: true };
+
+  const shopData = await getShop(shop);
+  const countryCode = shopData?.access_token ? await getShopCountryCode(shop, shopData.access_token) : "US";
+
+  const payload = buildPurchasePayload(order, {
+    countryCode,
+    formattedItemId: settings.formattedItemId,
+    eventPrefix: settings.eventPrefix,
+  });
+  await sendToGA4({
+    measurementId: settings.ga4.measurementId,
+    apiSecret: settings.ga4.apiSecret,
+    payload,
   });
+
+  log.info("Purchase forwarded to GA4", { shop, orderId: order.id });
+  return { orderId: order.id };
 });
 
-// Debug endpoint to clear shop from database
-app.get("/debug/clear-shop", (req, res) => {
-  const shop = req.query.shop;
-  if (!shop) {
-    return res.json({ error: "Missing shop parameter" });
-  }
-  
-  try {
-    const deleted = deleteShop(shop);
-    res.json({ 
-      ok: true, 
-      shop, 
-      deleted,
-      message: deleted ? "Shop removed from database" : "Shop not found in database"
-    });
-  } catch (error) {
-    res.json({ ok: false, error: error.message });
-  }
+onWebhook("orders/create", async ({ shop, payload: order }) => {
+  const settings = await loadSettings(shop);
+  if (!settings.ga4.enabled) return { skipped: true };
+  return {
+    orderId: order.id,
+    jobId: await enqueueJob("ga4.purchase", { shop, payload: { order: purchaseOrderFields(order) } }),
+  };
 });
 
-// Debug endpoint: fetch granted access scopes from Shopify Admin (GraphQL alternative: appInstallation query)
-app.get("/debug/access_scopes", async (req, res) => {
-  const shop = req.query.shop;
-  if (!shop || !isValidShopDomain(shop)) {
-    return res.status(400).json({ ok: false, error: "Provide ?shop=your-store.myshopify.com" });
-  }
-  const shopData = await getShop(shop);
-  if (!shopData || !shopData.access_token) {
-    return res.status(404).json({ ok: false, error: "No stored access token for this shop" });
-  }
-  try {
-    const url = `https://${shop}/admin/oauth/access_scopes.json`;
-    const r = await fetch(url, {
-      method: "GET",
-      headers: {
-        "X-Shopify-Access-Token": shopData.access_token,
-        Accept: "application/json"
-      }
+// GDPR mandatory webhooks. Subscribed in the Partner Dashboard (App setup → Compliance webhooks),
+// not via the Admin API.
+
+// The app stores no customer contact data: ga4.purchase jobs keep only the purchase fields (order and
+// customer ids, amounts, items), and email/phone are only hashed in the visitor's browser.
+const CUSTOMER_DATA_NOTE = "No customer contact data is stored; queued GA4 purchases keep only order/customer ids, amounts and items.";
+
+// customers/redact: drop the queued GA4 purchases of the customer and of the listed orders
+async function redactPurchaseJobs(shop, { customerId, orderIds }) {
+  const byOrder = await deleteJobsByPayload({ shop, type: "ga4.purchase", path: "$.order.id", values: orderIds });
+  const byCustomer = customerId == null ? 0
+    : await deleteJobsByPayload({ shop, type: "ga4.purchase", path: "$.order.customer.id", values: [customerId] });
+  return byOrder + byCustomer;
+}
+
+const GDPR_HANDLERS = {
+  // Report what we hold; stays pending until an admin confirms it was sent to the merchant
+  "customers/data_request": async (shop) => ({
+    status: "pending",
+    result: { customerData: {}, shopData: await describeShopData(shop), note: CUSTOMER_DATA_NOTE },
+  }),
+  "customers/redact": async (shop, payload) => ({
+    status: "completed",
+    result: {
+      erased: {
+        purchaseJobs: await redactPurchaseJobs(shop, {
+          customerId: payload.customer?.id ?? null,
+          orderIds: payload.orders_to_redact || [],
+        }),
+      },
+      note: CUSTOMER_DATA_NOTE,
+    },
+  }),
+  // Sent 48h after uninstall: remove everything we hold for the shop
+  "shop/redact": async (shop) => ({
+    status: "completed",
+    result: { deleted: await purgeShopData(shop) },
+  }),
+};
+
+for (const [topic, handle] of Object.entries(GDPR_HANDLERS)) {
+  onWebhook(topic, async ({ shop, payload }) => {
+    const id = await createGdprRequest(shop, {
+      topic,
+      customerId: payload.customer?.id ?? null,
+      ordersRequested: payload.orders_requested || payload.orders_to_redact || [],
     });
-    const json = await r.json().catch(() => ({}));
-    res.status(r.status).json({ ok: r.ok, status: r.status, scopes: json.access_scopes || [], raw: json });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
+    try {
+      const { status, result } = await handle(shop, payload);
+      await updateGdprRequest(id, { status, result });
+      log.info("GDPR request processed", { id, shop, topic, status });
+      return { id, status };
+    } catch (e) {
+      // The failure is kept in the audit table
+      await updateGdprRequest(id, { status: "failed", result: { error: e.message } });
+      throw e;
+    }
+  }, { subscribe: false });
+}
 
-// Debug endpoint: list first N theme assets for inspection
-app.get("/debug/theme-assets", async (req, res) => {
-  const shop = req.query.shop;
-  const limit = parseInt(req.query.limit || "25", 10);
-  if (!shop || !isValidShopDomain(shop)) {
-    return res.status(400).json({ ok:false, error:"Provide ?shop=your-store.myshopify.com" });
-  }
-  const shopData = getShop(shop);
-  if (!shopData?.access_token) {
-    return res.status(404).json({ ok:false, error:"Install app first" });
-  }
-  try {
-    const themes = await shopifyFetch(shop, shopData.access_token, "/themes.json", { method:"GET" });
-    const main = themes.themes.find(t=>t.role==="main") || themes.themes[0];
-    if (!main) return res.status(404).json({ ok:false, error:"No themes found" });
-    const list = await shopifyFetch(shop, shopData.access_token, `/themes/${main.id}/assets.json`, { method:"GET" });
-    const assets = (list.assets||[]).slice(0, limit).map(a=>({key:a.key, public_url:a.public_url||null, size:a.size}));
-    res.json({ ok:true, shop, themeId: main.id, count:list.assets?.length||0, sample:assets });
-  } catch(e) {
-    res.status(500).json({ ok:false, error:e.message });
-  }
+mountWebhooks(app);
+
+// Small root
+app.get("/", (_req, res) => {
+  res.type("html").send(`<!doctype html><meta charset="utf-8"><title>analyticsgtm</title>
+  <h1>analyticsgtm</h1><p><a href="/admin/settings">Open Settings UI</a></p>`);
 });
 
 // Health endpoint
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
-// Debug endpoint: attempt to PUT a small asset to test write permission
-app.post("/debug/put-asset", async (req, res) => {
-  try {
-    const shop = req.query.shop;
-    const key = (req.query.key || "assets/gtm-debug.txt").toString();
-    if (!shop || !isValidShopDomain(shop)) {
-      return res.status(400).json({ ok:false, error:"Provide ?shop=your-store.myshopify.com" });
-    }
-    const shopData = getShop(shop);
-    if (!shopData?.access_token) {
-      return res.status(404).json({ ok:false, error:"No stored token. Install the app first." });
-    }
-    const themeId = await getMainThemeId(shop, shopData.access_token);
-    const value = `gtm debug ${new Date().toISOString()}\n`;
-    await putAsset(shop, shopData.access_token, themeId, key, value);
-    return res.json({ ok:true, shop, themeId, key });
-  } catch (e) {
-    return res.status(400).json({ ok:false, error: e.message });
-  }
-});
-
-// Convenience alias: GET /debug/put-asset for quick browser testing
-app.get("/debug/put-asset", async (req, res) => {
-  try {
-    const shop = req.query.shop;
-    const key = (req.query.key || "assets/gtm-debug.txt").toString();
-    if (!shop || !isValidShopDomain(shop)) {
-      return res.status(400).json({ ok:false, error:"Provide ?shop=your-store.myshopify.com" });
-    }
-    const shopData = getShop(shop);
-    if (!shopData?.access_token) {
-      return res.status(404).json({ ok:false, error:"No stored token. Install the app first." });
-    }
-    const themeId = await getMainThemeId(shop, shopData.access_token);
-    const value = `gtm debug ${new Date().toISOString()}\n`;
-    await putAsset(shop, shopData.access_token, themeId, key, value);
-    return res.json({ ok:true, shop, themeId, key });
-  } catch (e) {
-    return res.status(400).json({ ok:false, error: e.message });
-  }
-});
+// Debug routes: dev only, or with the admin token in production (server/debug.js)
+app.use("/debug", createDebugRouter({ isAdminRequest, getMainThemeId, putAsset }));
 
 app.listen(PORT, () => {
+  startJobWorker();
   log.info(`analyticsgtm server running on port ${PORT}`);
   console.log(`✅ Server: http://localhost:${PORT}`);
   console.log(`📊 Settings UI: http://localhost:${PORT}/admin/settings`);
@@ -0,0 +1,104 @@
+// server/jobs.js — SQLite-backed background job queue (retries, exponential backoff, dead-lettering)
+//
+//   defineJob("theme.reapply", async (payload, { shop, job }) => { ...; return result; });
+//   const id = await enqueueJob("theme.reapply", { shop, payload: { themeId } });
+//
+// One worker per process runs jobs sequentially. A failed attempt is retried after
+// BASE_DELAY * 2^(attempt - 1) seconds (capped, with jitter); after maxAttempts the
+// job is marked 'dead' and kept for inspection (GET /api/jobs).
+import {
+  insertJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+} from "./database.js";
+import { log } from "./logger.js";
+
+const BASE_DELAY = parseInt(process.env.JOB_RETRY_BASE_SECONDS || "10", 10);
+const MAX_DELAY = 3600;
+const POLL_INTERVAL_MS = 2000;
+
+const definitions = new Map(); // type -> { handler, maxAttempts }
+
+export function defineJob(type, handler, { maxAttempts = 5 } = {}) {
+  if (definitions.has(type)) throw new Error(`Job type already defined: ${type}`);
+  definitions.set(type, { handler, maxAttempts });
+}
+
+// Seconds to wait before the next attempt (null = give up)
+export function retryDelay(attempts, maxAttempts) {
+  if (attempts >= maxAttempts) return null;
+  const delay = Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(1, Math.round(delay + jitter));
+}
+
+let timer = null;
+let draining = false;
+let started = false;
+
+export async function enqueueJob(type, { shop = null, payload = {}, delaySeconds = 0 } = {}) {
+  const definition = definitions.get(type);
+  if (!definition) throw new Error(`Unknown job type: ${type}`);
+  const id = await insertJob({ shop, type, payload, maxAttempts: definition.maxAttempts, delaySeconds });
+  log.info("Job queued", { id, type, shop });
+  if (started && !delaySeconds) setImmediate(drain);
+  return id;
+}
+
+async function runJob(job) {
+  const definition = definitions.get(job.type);
+  if (!definition) {
+    await failJob(job.id, `Unknown job type: ${job.type}`, null);
+    return;
+  }
+  try {
+    const result = await definition.handler(job.payload, { shop: job.shop, job });
+    await completeJob(job.id, result ?? null);
+    log.info("Job succeeded", { id: job.id, type: job.type, shop: job.shop, attempts: job.attempts });
+  } catch (e) {
+    const retryIn = retryDelay(job.attempts, job.maxAttempts);
+    await failJob(job.id, e.message, retryIn);
+    if (retryIn == null) {
+      log.error("Job dead-lettered", e, { id: job.id, type: job.type, shop: job.shop, attempts: job.attempts });
+    } else {
+      log.warn("Job failed, retrying", { id: job.id, type: job.type, shop: job.shop, attempts: job.attempts, retryIn, error: e.message });
+    }
+  }
+}
+
+// Run every due job, one at a time
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (e) {
+    log.error("Job worker error", e);
+  } finally {
+    draining = false;
+  }
+}
+
+export async function startJobWorker({ pollInterval = POLL_INTERVAL_MS } = {}) {
+  if (started) return;
+  started = true;
+  const requeued = await requeueRunningJobs();
+  if (requeued) log.warn("Requeued jobs interrupted by a restart", { count: requeued });
+
+  const tick = async () => {
+    await drain();
+    if (started) timer = setTimeout(tick, pollInterval);
+  };
+  tick();
+}
+
+export function stopJobWorker() {
+  started = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
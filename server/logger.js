@@ -59,6 +59,19 @@ const logger = winston.createLogger({
   ],
 });
 
+// Audit trail (debug routes): JSON lines in their own file, kept apart from the app logs
+const auditLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.File({
+      filename: path.join(LOG_DIR, "audit.log"),
+      maxsize: 5242880, // 5MB
+      maxFiles: 20,
+    }),
+  ],
+});
+
 // Helper functions for common logging patterns
 export const log = {
   info: (message, meta = {}) => logger.info(message, meta),
@@ -91,6 +104,12 @@ export const log = {
       logger.info(`Webhook: ${topic}`, { shop }),
   },
   
+  // Audit trail entry (also echoed to the app log)
+  audit: (action, meta = {}) => {
+    auditLogger.info(action, meta);
+    logger.info(`Audit: ${action}`, meta);
+  },
+
   // HTTP request logging
   http: (method, path, statusCode, duration) =>
     logger.info(`HTTP ${method} ${path}`, { statusCode, duration: `${duration}ms` }),
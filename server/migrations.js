@@ -0,0 +1,237 @@
+// server/migrations.js — Numbered schema migrations for data/shops.db
+//
+// Append new migrations to the end of MIGRATIONS with the next version number;
+// never edit or reorder one that has shipped. Applied versions are recorded in
+// schema_migrations. Migrations 1-5 reproduce the schema that initDatabase used
+// to create ad hoc, so they must stay idempotent for databases created before
+// this framework existed.
+
+// Add a column unless it already exists (SQLite has no ADD COLUMN IF NOT EXISTS)
+function addColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_shops",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS shops (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop TEXT UNIQUE NOT NULL,
+          access_token TEXT NOT NULL,
+          scope TEXT,
+          installed_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_shop ON shops(shop)`);
+    },
+  },
+  {
+    version: 2,
+    name: "create_shop_settings",
+    up(db) {
+      // Per-shop snippet configuration (JSON blob, see server/settings.js)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS shop_settings (
+          shop TEXT PRIMARY KEY,
+          settings TEXT NOT NULL,
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "create_theme_backups",
+    up(db) {
+      // Previous theme asset values, saved before every theme.liquid write
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS theme_backups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop TEXT NOT NULL,
+          theme_id TEXT NOT NULL,
+          asset_key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          reason TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_theme_backups_shop ON theme_backups(shop, created_at)`);
+    },
+  },
+  {
+    version: 4,
+    name: "create_installations",
+    up(db) {
+      // What was installed per shop (re-applied when a new theme is published)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS installations (
+          shop TEXT PRIMARY KEY,
+          theme_id TEXT,
+          gtm_id TEXT,
+          datalayer_enabled INTEGER NOT NULL DEFAULT 0,
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "add_installations_datalayer_version",
+    up(db) {
+      addColumn(db, "installations", "datalayer_version", "TEXT");
+    },
+  },
+  {
+    version: 6,
+    name: "create_gdpr_requests",
+    up(db) {
+      // Audit trail of mandatory GDPR webhooks. Only identifiers are kept, never customer contact data.
+      db.exec(`
+        CREATE TABLE gdpr_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          customer_id TEXT,
+          orders_requested TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          result TEXT,
+          received_at INTEGER DEFAULT (strftime('%s', 'now')),
+          completed_at INTEGER
+        )
+      `);
+      db.exec(`CREATE INDEX idx_gdpr_requests_status ON gdpr_requests(status, received_at)`);
+    },
+  },
+  {
+    version: 7,
+    name: "create_webhook_events",
+    up(db) {
+      // X-Shopify-Webhook-Id of every delivery we processed (replay / retry protection)
+      db.exec(`
+        CREATE TABLE webhook_events (
+          webhook_id TEXT PRIMARY KEY,
+          shop TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          received_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      db.exec(`CREATE INDEX idx_webhook_events_received ON webhook_events(received_at)`);
+    },
+  },
+  {
+    version: 8,
+    name: "create_jobs",
+    up(db) {
+      // Background job queue (server/jobs.js). status: queued | running | succeeded | dead
+      db.exec(`
+        CREATE TABLE jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          shop TEXT,
+          type TEXT NOT NULL,
+          payload TEXT NOT NULL DEFAULT '{}',
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 5,
+          run_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+          last_error TEXT,
+          result TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      db.exec(`CREATE INDEX idx_jobs_due ON jobs(status, run_at)`);
+      db.exec(`CREATE INDEX idx_jobs_shop ON jobs(shop, created_at)`);
+    },
+  },
+  {
+    version: 9,
+    name: "create_sessions",
+    up(db) {
+      // Online (per-user) access tokens, id "<shop>_<userId>". The offline token stays in shops.
+      db.exec(`
+        CREATE TABLE sessions (
+          id TEXT PRIMARY KEY,
+          shop TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          access_token TEXT NOT NULL,
+          scope TEXT,
+          expires_at INTEGER,
+          user_info TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+      db.exec(`CREATE INDEX idx_sessions_shop ON sessions(shop)`);
+    },
+  },
+  {
+    version: 10,
+    name: "add_shops_token_expiry",
+    up(db) {
+      // Expiring offline tokens: the access token's expiry + the (rotating) refresh token
+      addColumn(db, "shops", "access_token_expires_at", "INTEGER");
+      addColumn(db, "shops", "refresh_token", "TEXT");
+      addColumn(db, "shops", "refresh_token_expires_at", "INTEGER");
+    },
+  },
+];
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+}
+
+// Applied + pending migrations for a database (read-only)
+export function migrationStatus(db) {
+  const tracked = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  const rows = tracked ? db.prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version").all() : [];
+  const applied = new Map(rows.map((r) => [r.version, r]));
+  const known = new Set(MIGRATIONS.map((m) => m.version));
+  return {
+    current: applied.size ? Math.max(...applied.keys()) : 0,
+    latest: MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0,
+    migrations: MIGRATIONS.map((m) => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: applied.get(m.version)?.applied_at ?? null,
+    })),
+    // Rows written by a newer build of the app
+    unknown: [...applied.values()].filter((r) => !known.has(r.version)),
+  };
+}
+
+// Run every pending migration in one transaction (all or nothing).
+// Returns the list of versions applied.
+export function runMigrations(db, { log = console } = {}) {
+  ensureMigrationsTable(db);
+  const status = migrationStatus(db);
+  if (status.unknown.length) {
+    log.warn(`⚠️ Database has migrations this build does not know: ${status.unknown.map((r) => r.version).join(", ")}`);
+  }
+  const pending = MIGRATIONS.filter((m) => !status.migrations.find((s) => s.version === m.version).appliedAt);
+  if (!pending.length) return [];
+
+  const record = db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+  db.transaction(() => {
+    for (const migration of pending) {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    }
+  })();
+
+  log.info(`✅ Applied ${pending.length} migration(s): ${pending.map((m) => `${m.version}_${m.name}`).join(", ")}`);
+  return pending.map((m) => m.version);
+}
@@ -1,11 +1,17 @@
-// server/oauth.js — Shopify OAuth implementation
+// server/oauth.js — Shopify auth: OAuth install (offline + online tokens), session tokens, verifySession
+//
+// The only auth module. Offline tokens (webhooks, jobs) live in shops.access_token, online
+// per-user tokens in the sessions table, both in data/shops.db. /api/* routes use verifySession.
 import crypto from "crypto";
 import { log } from "./logger.js";
+import { getShop, getOnlineSession, saveOnlineSession, setOfflineTokenRefresher } from "./database.js";
 
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
 const SCOPES = process.env.SCOPES || "read_themes,write_themes,read_theme_code,write_theme_code";
 export const USE_LEGACY_INSTALL_FLOW = process.env.USE_LEGACY_INSTALL_FLOW === "true";
+// Ask for expiring offline tokens (1h access token + rotating refresh token); "false" opts out
+const EXPIRING_OFFLINE_TOKENS = process.env.EXPIRING_OFFLINE_TOKENS !== "false";
 
 // Use RENDER_EXTERNAL_URL (automatically provided by Render) or fallback to HOST
 const HOST = process.env.RENDER_EXTERNAL_URL || process.env.HOST || "https://analyticsgtm.onrender.com";
@@ -24,8 +30,9 @@ export function generateNonce() {
   return crypto.randomBytes(16).toString("hex");
 }
 
-// Build OAuth authorization URL
-export function buildAuthorizationUrl(shop, nonce) {
+// Build OAuth authorization URL (`online`: per-user token tied to the staff member).
+// `scopes` (re-authorization) asks for them on top of SCOPES, in either install flow.
+export function buildAuthorizationUrl(shop, nonce, { online = false, scopes = [] } = {}) {
   const authUrl = `https://${shop}/admin/oauth/authorize`;
   const redirectUri = `${HOST}/auth/callback`;
   
@@ -35,8 +42,11 @@ export function buildAuthorizationUrl(shop, nonce) {
     state: nonce,
   });
   // Only include scopes in the OAuth URL when explicitly using the legacy flow.
-  if (USE_LEGACY_INSTALL_FLOW) {
-    params.set("scope", SCOPES);
+  if (USE_LEGACY_INSTALL_FLOW || scopes.length) {
+    params.set("scope", [...new Set([...parseScopes(SCOPES), ...parseScopes(scopes)])].join(","));
+  }
+  if (online) {
+    params.append("grant_options[]", "per-user");
   }
   
   return `${authUrl}?${params.toString()}`;
@@ -82,10 +92,36 @@ export function verifyOAuthCallback(query, nonce) {
   return true;
 }
 
+// Token endpoint response → the offline token fields saveShop() stores (expiry as unix seconds)
+function offlineToken(data) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    accessToken: data.access_token,
+    scope: data.scope,
+    expiresAt: data.expires_in ? now + data.expires_in : null,
+    refreshToken: data.refresh_token || null,
+    refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in : null,
+  };
+}
+
+// Online grant: the token acts as one staff member and expires with their session
+function onlineGrant(data) {
+  if (!data.associated_user) return null;
+  return {
+    userId: String(data.associated_user.id),
+    scope: data.associated_user_scope || data.scope,
+    expiresAt: data.expires_in ? Math.floor(Date.now() / 1000) + data.expires_in : null,
+    user: {
+      accountOwner: !!data.associated_user.account_owner,
+      collaborator: !!data.associated_user.collaborator,
+      locale: data.associated_user.locale || null,
+    },
+  };
+}
+
 // Exchange authorization code for access token
 export async function exchangeCodeForToken(shop, code) {
   const tokenUrl = `https://${shop}/admin/oauth/access_token`;
-  const redirectUri = `${HOST}/auth/callback`;
   
   try {
     const response = await fetch(tokenUrl, {
@@ -97,6 +133,7 @@ export async function exchangeCodeForToken(shop, code) {
         client_id: SHOPIFY_API_KEY,
         client_secret: SHOPIFY_API_SECRET,
         code,
+        ...(EXPIRING_OFFLINE_TOKENS ? { expiring: 1 } : {}),
       }),
     });
     
@@ -111,18 +148,65 @@ export async function exchangeCodeForToken(shop, code) {
       throw new Error("No access token in response");
     }
     
-    log.shopify.oauth(shop, "Token exchange successful");
+    log.shopify.oauth(shop, data.associated_user ? "Online token exchange successful" : "Token exchange successful");
     
-    return {
-      accessToken: data.access_token,
-      scope: data.scope,
-    };
+    return { ...offlineToken(data), online: onlineGrant(data) };
   } catch (error) {
     log.error("Token exchange error", error, { shop });
     throw error;
   }
 }
 
+// Token exchange: an App Bridge session token → an online token for the staff member it names,
+// without a redirect. Resolves to { accessToken, ...onlineGrant() }.
+export async function exchangeSessionTokenForOnlineToken(shop, sessionToken) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify({
+      client_id: SHOPIFY_API_KEY,
+      client_secret: SHOPIFY_API_SECRET,
+      grant_type: "urn:ietf:params:oauth:grant-type:token-exchange",
+      subject_token: sessionToken,
+      subject_token_type: "urn:ietf:params:oauth:token-type:id_token",
+      requested_token_type: "urn:shopify:params:oauth:token-type:online-access-token",
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Session token exchange failed (${response.status}): ${await response.text()}`);
+  }
+  const data = await response.json();
+  const online = onlineGrant(data);
+  if (!data.access_token || !online) throw new Error("No online access token in token exchange response");
+  log.shopify.oauth(shop, "Online token obtained through token exchange");
+  return { accessToken: data.access_token, ...online };
+}
+
+// Trade a refresh token for a new offline token. Shopify rotates the refresh token on every
+// use, so the caller must store both (database.js getShop() does, see the registration below).
+export async function refreshOfflineToken(shop, refreshToken) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      client_id: SHOPIFY_API_KEY,
+      client_secret: SHOPIFY_API_SECRET,
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Token refresh failed (${response.status}): ${await response.text()}`);
+  }
+  const data = await response.json();
+  if (!data.access_token) throw new Error("No access token in refresh response");
+  log.shopify.oauth(shop, "Offline token refreshed");
+  return offlineToken(data);
+}
+
+// getShop() refreshes expiring offline tokens through this, so every caller gets a live token
+setOfflineTokenRefresher(refreshOfflineToken);
+
 // Verify webhook HMAC
 export function verifyWebhookHmac(data, hmacHeader) {
   if (!SHOPIFY_API_SECRET) {
@@ -140,10 +224,24 @@ export function verifyWebhookHmac(data, hmacHeader) {
     .update(data, "utf8")
     .digest("base64");
   
-  return crypto.timingSafeEqual(
-    Buffer.from(hash),
-    Buffer.from(hmacHeader)
-  );
+  // timingSafeEqual throws on length mismatch (malformed header)
+  const expected = Buffer.from(hash);
+  const provided = Buffer.from(String(hmacHeader));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// Per-shop token for POST /pixel/collect, handed to the web pixel through its settings. Derived from
+// the API secret, so there is nothing to store, and rotating the secret revokes every token.
+export function pixelCollectToken(shop) {
+  if (!SHOPIFY_API_SECRET) throw new Error("SHOPIFY_API_SECRET not set");
+  return crypto.createHmac("sha256", SHOPIFY_API_SECRET).update(`pixel-collect:${shop}`, "utf8").digest("base64url");
+}
+
+export function verifyPixelCollectToken(shop, token) {
+  if (!SHOPIFY_API_SECRET || typeof token !== "string") return false;
+  const expected = Buffer.from(pixelCollectToken(shop));
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
 }
 
 // Verify API request (for admin API calls)
@@ -167,3 +265,255 @@ export function verifyApiRequest(shop, accessToken) {
 export function getRequestedScopes() {
   return SCOPES;
 }
+
+/* ---------- Granted vs requested scopes ---------- */
+
+// "a, b,c" (or an array) → ["a", "b", "c"]
+export function parseScopes(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map((s) => String(s).trim()).filter(Boolean);
+}
+
+// Scopes in `wanted` the shop hasn't granted. Shopify reports write_x without the read_x it implies.
+export function missingScopes(granted, wanted = getRequestedScopes()) {
+  const have = new Set(parseScopes(granted));
+  for (const s of [...have]) {
+    const m = /^(unauthenticated_)?write_(.+)$/.exec(s);
+    if (m) have.add(`${m[1] || ""}read_${m[2]}`);
+  }
+  return [...new Set(parseScopes(wanted))].filter((s) => !have.has(s));
+}
+
+// Restarts OAuth asking for the missing scopes on top of the configured ones (see /auth ?scope=)
+export function reauthorizeUrl(shop, scopes) {
+  return `/auth?${new URLSearchParams({ shop, scope: parseScopes(scopes).join(",") })}`;
+}
+
+// Runs after verifySession: 403 with code "missing_scopes" when the shop hasn't granted a scope
+// this feature needs. missing_scopes lists everything to re-authorize for (requested + these).
+// Shops that aren't installed pass through, the handler answers those.
+export function requireScopes(...scopes) {
+  return (req, res, next) => {
+    const { shop, shopData } = req.shopSession || {};
+    if (!shopData) return next();
+    const blocking = missingScopes(shopData.scope, scopes);
+    if (!blocking.length) return next();
+    const missing = missingScopes(shopData.scope, [...parseScopes(SCOPES), ...scopes]);
+    log.warn("API call needs scopes the shop hasn't granted", { shop, path: req.path, missing: blocking });
+    res.status(403).json({
+      error: `Missing access scopes: ${blocking.join(", ")}. Re-authorize the app to grant them.`,
+      code: "missing_scopes",
+      missing_scopes: missing,
+      granted_scopes: parseScopes(shopData.scope),
+      reauthorizeUrl: reauthorizeUrl(shop, missing),
+    });
+  };
+}
+
+/* ---------- Session tokens ---------- */
+
+// The embedded UI sends `Authorization: Bearer <token>` from App Bridge's shopify.idToken().
+// Tokens are HS256 JWTs signed with the API secret and live for one minute:
+//   iss  https://<shop>.myshopify.com/admin      aud  SHOPIFY_API_KEY
+//   dest https://<shop>.myshopify.com            sub  staff user id, sid session id
+const CLOCK_TOLERANCE_S = 5;
+
+// Rejected /api/* request (status + message for the JSON error body)
+export class AuthError extends Error {
+  constructor(message, { status = 401, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Missing / invalid / expired session token: App Bridge retries these with a fresh token
+export class SessionTokenError extends AuthError {}
+
+function decodePart(part, what) {
+  try {
+    return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch (_) {
+    throw new SessionTokenError(`Malformed session token ${what}`);
+  }
+}
+
+// "https://shop.myshopify.com/admin" → "shop.myshopify.com" (null if not a shop URL)
+function shopFromUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" && isValidShopDomain(url.hostname) ? url.hostname : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Verified claims → { shop, userId, sessionId, expiresAt }; throws SessionTokenError otherwise
+export function verifySessionToken(token, {
+  apiKey = SHOPIFY_API_KEY,
+  apiSecret = SHOPIFY_API_SECRET,
+  now = Date.now(),
+} = {}) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new SessionTokenError("Malformed session token");
+
+  const header = decodePart(parts[0], "header");
+  if (header.alg !== "HS256") throw new SessionTokenError(`Unsupported session token algorithm: ${header.alg}`);
+
+  const expected = crypto.createHmac("sha256", apiSecret).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], "base64url");
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new SessionTokenError("Invalid session token signature");
+  }
+
+  const claims = decodePart(parts[1], "payload");
+  const nowS = Math.floor(now / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + CLOCK_TOLERANCE_S < nowS) {
+    throw new SessionTokenError("Session token expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_TOLERANCE_S > nowS) {
+    throw new SessionTokenError("Session token not valid yet");
+  }
+
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!apiKey || !audience.includes(apiKey)) throw new SessionTokenError("Session token was issued for another app");
+
+  const shop = shopFromUrl(claims.dest);
+  if (!shop) throw new SessionTokenError("Session token has an invalid dest");
+  if (shopFromUrl(claims.iss) !== shop || new URL(claims.iss).pathname.replace(/\/$/, "") !== "/admin") {
+    throw new SessionTokenError("Session token issuer does not match its dest");
+  }
+
+  return {
+    shop,
+    userId: claims.sub || null,
+    sessionId: claims.sid || null,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+// Token from an "Authorization: Bearer <jwt>" header (null when absent)
+export function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1] : null;
+}
+
+/* ---------- verifySession middleware ---------- */
+
+// Dev-only compat: a request may carry `{ shop, accessToken }` instead of a session token
+const ALLOW_BODY_ACCESS_TOKEN = process.env.DEV_ALLOW_BODY_ACCESS_TOKEN === "true" && process.env.NODE_ENV !== "production";
+if (process.env.DEV_ALLOW_BODY_ACCESS_TOKEN === "true") {
+  log.warn(ALLOW_BODY_ACCESS_TOKEN
+    ? "DEV_ALLOW_BODY_ACCESS_TOKEN is on: /api/* accepts { shop, accessToken } without a session token"
+    : "DEV_ALLOW_BODY_ACCESS_TOKEN is ignored in production");
+}
+
+// Who is calling: the session token's shop + user, or (dev compat) the request's own token
+function identify(req) {
+  const { shop: requestedShop, accessToken } = { ...req.query, ...(req.body || {}) };
+  const token = bearerToken(req);
+
+  if (token) {
+    const claims = verifySessionToken(token);
+    if (requestedShop && requestedShop !== claims.shop) {
+      throw new AuthError("shop does not match the session token", {
+        status: 403,
+        details: { shop: requestedShop, sessionShop: claims.shop },
+      });
+    }
+    return { shop: claims.shop, userId: claims.userId, via: "session_token", sessionToken: token, requestToken: null };
+  }
+
+  if (accessToken && ALLOW_BODY_ACCESS_TOKEN) {
+    try {
+      verifyApiRequest(requestedShop, accessToken);
+    } catch (e) {
+      throw new AuthError(e.message);
+    }
+    return { shop: requestedShop, userId: null, via: "access_token", requestToken: accessToken };
+  }
+
+  throw new AuthError(accessToken
+    ? "accessToken in the request is disabled (development only: DEV_ALLOW_BODY_ACCESS_TOKEN=true)"
+    : "Missing session token (Authorization: Bearer <session token>)");
+}
+
+const exchanging = new Map(); // "shop_user" -> in-flight token exchange (the UI fires requests in parallel)
+
+// Staff member without a live online session: token exchange with their session token
+// (null when Shopify refuses it)
+function refreshOnlineSession(identity) {
+  const key = `${identity.shop}_${identity.userId}`;
+  if (!exchanging.has(key)) {
+    exchanging.set(key, exchangeOnlineSession(identity).finally(() => exchanging.delete(key)));
+  }
+  return exchanging.get(key);
+}
+
+async function exchangeOnlineSession({ shop, userId, sessionToken }) {
+  try {
+    const online = await exchangeSessionTokenForOnlineToken(shop, sessionToken);
+    if (online.userId !== String(userId)) throw new Error(`Token exchange returned user ${online.userId}, expected ${userId}`);
+    await saveOnlineSession(shop, online);
+    log.info("Online session stored", { shop, userId, expiresAt: online.expiresAt, via: "token_exchange" });
+    return getOnlineSession(shop, userId);
+  } catch (e) {
+    log.warn("Online session token exchange failed", { shop, userId, error: e.message });
+    return null;
+  }
+}
+
+// /api/* routes: "Authorization: Bearer <App Bridge session token>". The shop comes from the
+// token's `dest`; a `shop` in the query/body must match it. Sets req.shopSession:
+//   { shop, userId, via, shopData, onlineSession, accessToken, tokenType }
+// accessToken acts as the staff member (tokenType "online") whenever the session token names one:
+// a missing or expired online session is replaced through token exchange, and if that fails the
+// request gets 401 code "online_session_required" with the /auth?online=1 URL rather than the
+// offline token. Without a user (or before install) it's the shop's offline token ("offline",
+// null when not installed); in dev compat mode it's the request's own ("request"). Background
+// jobs always use the offline token.
+export async function verifySession(req, res, next) {
+  let identity;
+  try {
+    identity = identify(req);
+  } catch (e) {
+    if (!(e instanceof AuthError)) return next(e);
+    if (e instanceof SessionTokenError) res.setHeader("X-Shopify-Retry-Invalid-Session-Request", "1");
+    log.warn(`API auth failed: ${e.message}`, { method: req.method, path: req.path });
+    const body = { error: e.message };
+    if (e.details && process.env.NODE_ENV !== "production") body.details = e.details;
+    return res.status(e.status).json(body);
+  }
+
+  try {
+    const shopData = await getShop(identity.shop);
+    let onlineSession = identity.userId && shopData ? await getOnlineSession(identity.shop, identity.userId) : null;
+    if (identity.userId && shopData && !onlineSession) {
+      onlineSession = await refreshOnlineSession(identity);
+      if (!onlineSession) {
+        return res.status(401).json({
+          error: "Could not get a staff session for this user. Authorize the app again.",
+          code: "online_session_required",
+          reauthorizeUrl: `/auth?shop=${encodeURIComponent(identity.shop)}&online=1`,
+        });
+      }
+    }
+    const [accessToken, tokenType] =
+      identity.requestToken ? [identity.requestToken, "request"]
+      : onlineSession ? [onlineSession.accessToken, "online"]
+      : [shopData?.access_token || null, "offline"];
+    req.shopSession = {
+      shop: identity.shop,
+      userId: identity.userId,
+      via: identity.via,
+      shopData,
+      onlineSession,
+      accessToken,
+      tokenType,
+    };
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
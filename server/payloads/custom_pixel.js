@@ -3,6 +3,7 @@ const formattedItemId = true;
 const gclidWithPageLocation = true;
 const GTM_container_url = 'https://www.googletagmanager.com';
 const GTM_container_id = 'GTM-XXXXXXXX';
+const consentMode = false; // Google Consent Mode v2: mirror Shopify customer privacy into gtag consent
 
 
 let storeCountryCode = window.localStorage.getItem('shopCountryCode');
@@ -12,8 +13,18 @@ function gtag() {
     dataLayer.push(arguments);
 }
 
+// @pixel-events — server/payloads/pixel-events.js is inlined here when the pixel is served
+
 //checkout pages event
-if(/.+\/checkouts?\/.*/.test(window.location.href)) {
+if(isCheckoutUrl(window.location.href)) {
+    // consent defaults must be queued before the container loads
+    if (consentMode) {
+        gtag('consent', 'default', consentState(init.customerPrivacy));
+        customerPrivacy.subscribe('visitorConsentCollected', (event) => {
+            gtag('consent', 'update', consentState(event.customerPrivacy));
+        });
+    }
+
     // tag manager 
     (function(w, d, s, l, i) {
         w[l] = w[l] || [];
@@ -41,12 +52,10 @@ if(/.+\/checkouts?\/.*/.test(window.location.href)) {
     // end tag manager
 
 
-    // DataLayer Events
-    analytics.subscribe('payment_info_submitted', (event) => ecommerceDataLayer('add_payment_info', event));
-
-    analytics.subscribe('checkout_shipping_info_submitted', (event) => ecommerceDataLayer('add_shipping_info', event));
-
-    analytics.subscribe('checkout_completed', (event) => ecommerceDataLayer('purchase', event));
+    // DataLayer Events (add_payment_info, add_shipping_info, purchase)
+    Object.keys(CHECKOUT_EVENTS).forEach((shopifyEvent) => {
+        analytics.subscribe(shopifyEvent, (event) => ecommerceDataLayer(CHECKOUT_EVENTS[shopifyEvent], event));
+    });
 
 }
 
@@ -61,90 +70,21 @@ function eventLog(eventName, eventData) {
 }
 
 function getPageLocation(event) {
-    let pageLocation = event.context.document.location.href;
-  
-    if(gclidWithPageLocation) {
-      const name = '_gcl_aw';
-      const value = `; ${document.cookie}`;
-      const parts = value.split(`; ${name}=`);
-
-      if (parts.length === 2) {
-        const gclidCookie = parts.pop().split(';').shift();
-        const gclidParts = gclidCookie.split('.');
-        const gclid = gclidParts[gclidParts.length - 1];
-        
-        pageLocation = pageLocation.includes('?') ? `${pageLocation}&gclid=${gclid}` : `${pageLocation}?gclid=${gclid}`;
-      }
-    }
-  return pageLocation;
-}
-
-async function sha256Hash(value) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(value);
-
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashedValue = hashArray.map(byte => ('00' + byte.toString(16)).slice(-2)).join('');
-    return hashedValue;
+    const gclid = gclidWithPageLocation ? gclidFromCookie(readCookie(document.cookie, '_gcl_aw')) : null;
+    return withGclid(event.context.document.location.href, gclid);
 }
 
 async function ecommerceDataLayer(gtm_event_name, event) {  
-    let hash_email;
-    let hash_phone;
-    const phone = event.data?.checkout?.phone;
-    const email = event.data?.checkout?.email;
-
-    if (phone) {
-        hash_phone = await sha256Hash(phone);
-    }
-
-    if (email) {
-        hash_email = await sha256Hash(email);
-    }
-
-
-    const customerInfo = {
-        customer: {
-            first_name: event.data?.checkout?.billingAddress?.firstName || event.data?.checkout?.shippingAddress?.firstName,
-            last_name: event.data?.checkout?.billingAddress?.lastName || event.data?.checkout?.shippingAddress?.lastName,
-            email: email,
-            hash_email: hash_email,
-            phone: phone,
-            hash_phone: hash_phone,
-            address: event.data?.checkout?.shippingAddress
-        }
-    }
+    const checkout = event.data?.checkout;
+    const customerInfo = await checkoutCustomer(checkout);
     dataLayer.push(customerInfo);
 
-    const dataLayerInfo = {
-        event: event_prefix + gtm_event_name,
-        page_location: getPageLocation(event),
-        ecommerce: {
-            transaction_id: event.data?.checkout?.order?.id,
-            value: event.data?.checkout?.totalPrice?.amount,
-            tax: event.data?.checkout?.totalTax?.amount,
-            shipping: event.data?.checkout?.shippingLine?.price?.amount,
-            currency: event.data?.checkout?.currencyCode,
-            coupon: (event.data?.checkout?.discountApplications || []).map(discount => discount.title).join(','),
-            items: (event.data?.checkout?.lineItems || []).map(item => ({
-                item_id: formattedItemId ? 'shopify_' + storeCountryCode + '_' + (item.variant?.product?.id || '') + '_' + (item.variant?.id || '') : item.variant?.product?.id,
-                product_id: item.variant?.product?.id,
-                variant_id: item.variant?.id,
-                sku: item.variant?.sku,
-                item_name: item.title,
-                coupon: item.discountAllocations?.discountApplication?.title,
-                discount: item.discountAllocations?.amount?.amount,
-                item_variant: item.variant?.title,
-                price: item.variant?.price?.amount,
-                quantity: item.quantity,
-                item_brand: item.variant?.product?.vendor,
-                item_category: item.variant?.product?.type
-
-            }))
-        }
-    }
+    const dataLayerInfo = checkoutEventData(gtm_event_name, checkout, {
+        eventPrefix: event_prefix,
+        pageLocation: getPageLocation(event),
+        formattedItemId: formattedItemId,
+        countryCode: storeCountryCode,
+    });
 
     dataLayer.push({
         ecommerce: null
@@ -0,0 +1,115 @@
+// server/payloads/pixel-events.js — Checkout event mapping shared by the pixels
+//
+// Pure functions (no window / document): inlined into custom_pixel.js for the copy-paste
+// custom pixel and copied into the web pixel extension (npm run extension:pixel).
+// Keep it plain JavaScript that runs in a browser, a web worker and Node.
+
+// Shopify customer event → GA4 ecommerce event
+export const CHECKOUT_EVENTS = {
+  payment_info_submitted: 'add_payment_info',
+  checkout_shipping_info_submitted: 'add_shipping_info',
+  checkout_completed: 'purchase',
+};
+
+export function isCheckoutUrl(href) {
+  return /.+\/checkouts?\/.*/.test(href || '');
+}
+
+// Shopify customer privacy → gtag consent states
+export function consentState(privacy) {
+  const marketing = privacy && privacy.marketingAllowed ? 'granted' : 'denied';
+  return {
+    ad_storage: marketing,
+    ad_user_data: marketing,
+    ad_personalization: marketing,
+    analytics_storage: privacy && privacy.analyticsProcessingAllowed ? 'granted' : 'denied',
+  };
+}
+
+// _gcl_aw cookie value ("GCL.<timestamp>.<gclid>") → gclid
+export function gclidFromCookie(value) {
+  if (!value) return null;
+  const parts = String(value).split('.');
+  return parts[parts.length - 1] || null;
+}
+
+// _ga cookie value ("GA1.1.<random>.<timestamp>") → GA4 client_id ("<random>.<timestamp>")
+export function gaClientId(value) {
+  const m = /(\d+\.\d+)$/.exec(value || '');
+  return m ? m[1] : null;
+}
+
+// Cookie value by name from a document.cookie style string
+export function readCookie(cookieString, name) {
+  const parts = `; ${cookieString || ''}`.split(`; ${name}=`);
+  return parts.length === 2 ? parts.pop().split(';').shift() : null;
+}
+
+export function withGclid(href, gclid) {
+  if (!gclid) return href;
+  return href.includes('?') ? `${href}&gclid=${gclid}` : `${href}?gclid=${gclid}`;
+}
+
+export async function sha256Hash(value) {
+  const data = new TextEncoder().encode(value);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map((byte) => ('00' + byte.toString(16)).slice(-2)).join('');
+}
+
+// { customer: ... } push that precedes every checkout ecommerce event
+export async function checkoutCustomer(checkout) {
+  const phone = checkout?.phone;
+  const email = checkout?.email;
+  return {
+    customer: {
+      first_name: checkout?.billingAddress?.firstName || checkout?.shippingAddress?.firstName,
+      last_name: checkout?.billingAddress?.lastName || checkout?.shippingAddress?.lastName,
+      email: email,
+      hash_email: email ? await sha256Hash(email) : undefined,
+      phone: phone,
+      hash_phone: phone ? await sha256Hash(phone) : undefined,
+      address: checkout?.shippingAddress,
+    },
+  };
+}
+
+export function checkoutItemId(item, { formattedItemId, countryCode }) {
+  const productId = item.variant?.product?.id;
+  if (!formattedItemId) return productId;
+  return 'shopify_' + countryCode + '_' + (productId || '') + '_' + (item.variant?.id || '');
+}
+
+// GA4 ecommerce object for a checkout event
+export function checkoutEcommerce(checkout, { formattedItemId = true, countryCode = 'US' } = {}) {
+  return {
+    transaction_id: checkout?.order?.id,
+    value: checkout?.totalPrice?.amount,
+    tax: checkout?.totalTax?.amount,
+    shipping: checkout?.shippingLine?.price?.amount,
+    currency: checkout?.currencyCode,
+    coupon: (checkout?.discountApplications || []).map((discount) => discount.title).join(','),
+    items: (checkout?.lineItems || []).map((item) => ({
+      item_id: checkoutItemId(item, { formattedItemId, countryCode }),
+      product_id: item.variant?.product?.id,
+      variant_id: item.variant?.id,
+      sku: item.variant?.sku,
+      item_name: item.title,
+      coupon: item.discountAllocations?.discountApplication?.title,
+      discount: item.discountAllocations?.amount?.amount,
+      item_variant: item.variant?.title,
+      price: item.variant?.price?.amount,
+      quantity: item.quantity,
+      item_brand: item.variant?.product?.vendor,
+      item_category: item.variant?.product?.type,
+    })),
+  };
+}
+
+// The dataLayer push for a checkout event
+export function checkoutEventData(gtmEventName, checkout, { eventPrefix = '', pageLocation, formattedItemId, countryCode }) {
+  return {
+    event: eventPrefix + gtmEventName,
+    page_location: pageLocation,
+    ecommerce: checkoutEcommerce(checkout, { formattedItemId, countryCode }),
+  };
+}
@@ -0,0 +1,79 @@
+// Web pixel extension entry point — copied to extensions/analyticsgtm-pixel/src/index.js by
+// `npm run extension:pixel`, next to pixel-events.js (as ./events.js). Same checkout events as
+// custom_pixel.js; the values custom_pixel.js has as constants arrive here as `settings`
+// (strings, see shopify.extension.toml and webPixelSettings() in server/pixel-code.js).
+//
+// App pixels run in Shopify's strict sandbox, a web worker: there is no document, so the GTM
+// container can't load and a worker-local dataLayer is read by nobody. The pixel POSTs each
+// dataLayer push to the app instead (settings.collect_url → POST /pixel/collect, signed with the
+// shop's settings.collect_token), which forwards it to the shop's GA4 property through Measurement
+// Protocol when GA4 forwarding is on. GTM tags on checkout still need the copy-paste custom pixel
+// (lax sandbox).
+import { register } from '@shopify/web-pixels-extension';
+import {
+  CHECKOUT_EVENTS,
+  isCheckoutUrl,
+  consentState,
+  gaClientId,
+  gclidFromCookie,
+  withGclid,
+  checkoutEventData,
+} from './events.js';
+
+register(({ analytics, browser, init, settings, customerPrivacy }) => {
+  // POST /api/pixel/disable keeps the pixel connected with enabled = "false"
+  if (settings.enabled === 'false' || !settings.collect_url || !settings.collect_token) return;
+  if (!isCheckoutUrl(init.context.document.location.href)) return;
+
+  const shop = init.data.shop.myshopifyDomain;
+  const eventPrefix = settings.event_prefix || '';
+  const formattedItemId = settings.formattedItemId !== 'false';
+  const gclidWithPageLocation = settings.gclidWithPageLocation !== 'false';
+  const consentMode = settings.consentMode === 'true';
+
+  let privacy = init.customerPrivacy;
+  customerPrivacy.subscribe('visitorConsentCollected', (event) => {
+    privacy = event.customerPrivacy;
+  });
+
+  // One push per request; text/plain keeps it a simple (no preflight) cross-origin request.
+  // Nothing personal is sent: the custom pixel's { customer } push stays out of GA4.
+  async function send(event, push) {
+    if (consentMode && !(privacy && privacy.analyticsProcessingAllowed)) return;
+    const clientId = gaClientId(await browser.cookie.get('_ga')) || event.clientId;
+    try {
+      await fetch(settings.collect_url, {
+        method: 'POST',
+        keepalive: true,
+        headers: { 'Content-Type': 'text/plain' },
+        body: JSON.stringify({
+          shop,
+          token: settings.collect_token,
+          client_id: clientId,
+          consent: consentMode ? consentState(privacy) : null,
+          push,
+        }),
+      });
+    } catch (_) {}
+  }
+
+  async function pageLocation(event) {
+    const gclid = gclidWithPageLocation ? gclidFromCookie(await browser.cookie.get('_gcl_aw')) : null;
+    return withGclid(event.context.document.location.href, gclid);
+  }
+
+  analytics.subscribe('page_viewed', async (event) => {
+    await send(event, { event: eventPrefix + 'page_view', page_location: await pageLocation(event) });
+  });
+
+  Object.keys(CHECKOUT_EVENTS).forEach((shopifyEvent) => {
+    analytics.subscribe(shopifyEvent, async (event) => {
+      await send(event, checkoutEventData(CHECKOUT_EVENTS[shopifyEvent], event.data?.checkout, {
+        eventPrefix,
+        pageLocation: await pageLocation(event),
+        formattedItemId,
+        countryCode: (await browser.localStorage.getItem('shopCountryCode')) || 'US',
+      }));
+    });
+  });
+});
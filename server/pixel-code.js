@@ -0,0 +1,80 @@
+// server/pixel-code.js — Checkout pixel code: copy-paste custom pixel + web pixel extension settings
+//
+// payloads/custom_pixel.js is the custom pixel template; its "// @pixel-events" line is
+// replaced by payloads/pixel-events.js (the event mapping shared with the web pixel extension).
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { log } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PIXEL_TEMPLATE_PATH = path.join(__dirname, "payloads", "custom_pixel.js");
+export const PIXEL_EVENTS_PATH = path.join(__dirname, "payloads", "pixel-events.js");
+
+const INCLUDE_RE = /^\/\/ @pixel-events\b.*$/m;
+
+// The shared module as plain script code (custom pixels are not ES modules)
+function inlineModule(src) {
+  return src.replace(/^export /gm, "");
+}
+
+function readPixelTemplate() {
+  try {
+    const template = fs.readFileSync(PIXEL_TEMPLATE_PATH, "utf8");
+    const events = fs.readFileSync(PIXEL_EVENTS_PATH, "utf8");
+    return template.replace(INCLUDE_RE, () => inlineModule(events).trim());
+  } catch (e) {
+    log.warn("Pixel source file not found", { path: e.path || PIXEL_TEMPLATE_PATH });
+    return "/* Pixel source not found: server/payloads/custom_pixel.js */";
+  }
+}
+
+// Custom pixel source with the template's default constants
+export const CUSTOM_PIXEL_JS = readPixelTemplate();
+
+// Header constants of custom_pixel.js, filled from the shop's settings.
+// The web pixel extension declares the same names as its settings fields.
+export const PIXEL_CONSTANTS = {
+  event_prefix: (s) => s.eventPrefix,
+  formattedItemId: (s) => s.formattedItemId,
+  gclidWithPageLocation: (s) => s.gclidWithPageLocation,
+  GTM_container_id: (s) => s.gtmId,
+  consentMode: (s) => !!s.consent?.enabled,
+};
+
+// Pixel source ready to paste/create as-is: the template's `const x = ...;` lines get the shop's values
+export function renderPixelSource(settings) {
+  if (!settings.gtmId) throw new Error("No GTM container ID saved for this shop. Enable GTM first.");
+  let src = CUSTOM_PIXEL_JS;
+  for (const [name, pick] of Object.entries(PIXEL_CONSTANTS)) {
+    const re = new RegExp(`^const ${name} = [^;\n]*;`, "m");
+    if (!re.test(src)) {
+      log.warn("Pixel template constant not found", { name });
+      continue;
+    }
+    src = src.replace(re, () => `const ${name} = ${JSON.stringify(pick(settings))};`);
+  }
+  return src;
+}
+
+// The web pixel extension's settings: its own keys + PIXEL_CONSTANTS, except the GTM container ID
+// (GTM can't load in the strict sandbox, the extension sends its events to POST /pixel/collect)
+const CUSTOM_PIXEL_ONLY = ["GTM_container_id"];
+export const WEB_PIXEL_SETTING_KEYS = [
+  "enabled",
+  "collect_url",
+  "collect_token",
+  ...Object.keys(PIXEL_CONSTANTS).filter((name) => !CUSTOM_PIXEL_ONLY.includes(name)),
+];
+
+// Settings for the app web pixel extension (server/web-pixel.js): the same values, as strings,
+// plus where the pixel POSTs its events and the shop's token for that endpoint
+export function webPixelSettings(settings, { enabled = true, collectUrl, collectToken } = {}) {
+  if (!collectUrl || !collectToken) throw new Error("Missing collect URL or token for the web pixel");
+  const out = { enabled: String(enabled), collect_url: collectUrl, collect_token: collectToken };
+  for (const [name, pick] of Object.entries(PIXEL_CONSTANTS)) {
+    if (WEB_PIXEL_SETTING_KEYS.includes(name)) out[name] = String(pick(settings));
+  }
+  return out;
+}
@@ -0,0 +1,121 @@
+// server/pixel-extension.js — Web pixel extension build of the checkout tracking
+//
+// `npm run extension:pixel` writes extensions/analyticsgtm-pixel: shopify.extension.toml with a
+// settings schema matching webPixelSettings(), the register() entry point
+// (payloads/web-pixel-extension.js) and the shared event mapping (payloads/pixel-events.js).
+// Deploy it with the Shopify CLI; POST /api/pixel/enable then connects it per shop. The pixel
+// runs in a web worker and sends its events to POST /pixel/collect (GA4), not to GTM.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PIXEL_EVENTS_PATH, WEB_PIXEL_SETTING_KEYS } from "./pixel-code.js";
+import { writeExtensionFiles } from "./theme-extension.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PIXEL_EXTENSION_NAME = "analyticsgtm-pixel";
+const ENTRY_PATH = path.join(__dirname, "payloads", "web-pixel-extension.js");
+const WEB_PIXELS_PACKAGE_VERSION = "^2.10.0";
+
+const BOOLEAN_CHOICES = '["true","false"]';
+
+// One field per key of webPixelSettings() (WEB_PIXEL_SETTING_KEYS)
+const SETTINGS_FIELDS = {
+  enabled: {
+    name: "Enabled",
+    description: "\"false\" keeps the pixel connected but silent (POST /api/pixel/disable)",
+    validations: { choices: BOOLEAN_CHOICES },
+  },
+  collect_url: {
+    name: "Collect URL",
+    description: "The app's POST /pixel/collect endpoint (events are forwarded to GA4 from there)",
+    validations: { regex: "^https://\\S+$" },
+  },
+  collect_token: {
+    name: "Collect token",
+    description: "Per-shop token POST /pixel/collect checks on every event",
+    validations: { regex: "^[A-Za-z0-9_-]+$" },
+  },
+  event_prefix: {
+    name: "Event prefix",
+    description: "Prepended to every event name (e.g. ac_)",
+    validations: { regex: "^[A-Za-z0-9_-]*$" },
+  },
+  formattedItemId: {
+    name: "Formatted item IDs",
+    description: "\"true\": shopify_{country}_{product}_{variant}, \"false\": product ID",
+    validations: { choices: BOOLEAN_CHOICES },
+  },
+  gclidWithPageLocation: {
+    name: "gclid in page_location",
+    description: "Append the _gcl_aw click ID to page_location",
+    validations: { choices: BOOLEAN_CHOICES },
+  },
+  consentMode: {
+    name: "Consent Mode v2",
+    description: "Mirror Shopify customer privacy into gtag consent",
+    validations: { choices: BOOLEAN_CHOICES },
+  },
+};
+
+const toml = (value) => JSON.stringify(String(value));
+
+function renderToml() {
+  const expected = WEB_PIXEL_SETTING_KEYS;
+  const missing = expected.filter((k) => !SETTINGS_FIELDS[k]);
+  const extra = Object.keys(SETTINGS_FIELDS).filter((k) => !expected.includes(k));
+  if (missing.length || extra.length) {
+    throw new Error(`Pixel extension settings out of sync with webPixelSettings() (missing: ${missing.join(", ") || "-"}, extra: ${extra.join(", ") || "-"})`);
+  }
+
+  const lines = [
+    `type = "web_pixel_extension"`,
+    `name = ${toml(PIXEL_EXTENSION_NAME)}`,
+    `runtime_context = "strict"`,
+    "",
+    "[customer_privacy]",
+    "analytics = true",
+    "marketing = true",
+    "preferences = false",
+    `sale_of_data = "enabled"`,
+    "",
+    "[settings]",
+    `type = "object"`,
+  ];
+  for (const [key, field] of Object.entries(SETTINGS_FIELDS)) {
+    const validations = Object.entries(field.validations)
+      .map(([name, value]) => `{ name = ${toml(name)}, value = ${toml(value)} }`)
+      .join(", ");
+    lines.push(
+      "",
+      `[settings.fields.${key}]`,
+      `name = ${toml(field.name)}`,
+      `description = ${toml(field.description)}`,
+      `type = "single_line_text_field"`,
+      `validations = [${validations}]`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+// { relativePath: content } for the whole extension directory
+export function buildPixelExtension() {
+  const pkg = {
+    name: PIXEL_EXTENSION_NAME,
+    version: "1.0.0",
+    private: true,
+    main: "dist/main.js",
+    license: "UNLICENSED",
+    dependencies: { "@shopify/web-pixels-extension": WEB_PIXELS_PACKAGE_VERSION },
+  };
+  return {
+    "shopify.extension.toml": renderToml(),
+    "package.json": JSON.stringify(pkg, null, 2) + "\n",
+    "src/index.js": fs.readFileSync(ENTRY_PATH, "utf8"),
+    "src/events.js": fs.readFileSync(PIXEL_EVENTS_PATH, "utf8"),
+  };
+}
+
+export function writePixelExtension(outDir) {
+  return writeExtensionFiles(outDir, buildPixelExtension());
+}
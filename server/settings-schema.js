@@ -0,0 +1,254 @@
+// server/settings-schema.js — Per-shop snippet configuration: defaults + validation
+//
+// No database access, so the extension generators (npm run extension:*) can import the
+// defaults without opening data/shops.db. Loading / saving lives in server/settings.js.
+
+// Consent Mode v2 signals, in the order gtag documents them
+export const CONSENT_TYPES = ["ad_storage", "ad_user_data", "ad_personalization", "analytics_storage"];
+
+// EEA + UK + Switzerland: regions that need opt-in consent
+const CONSENT_EEA_REGIONS = [
+  "AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IS", "IE", "IT", "LV",
+  "LI", "LT", "LU", "MT", "NL", "NO", "PL", "PT", "RO", "SK", "SI", "ES", "SE", "GB", "CH",
+];
+
+function consentStates(state) {
+  return Object.fromEntries(CONSENT_TYPES.map((t) => [t, state]));
+}
+
+// Mirrors the knobs of Ultimate_Shopify_DataLayer's constructor
+export const DEFAULT_SETTINGS = {
+  // "theme": write GTM + snippet into theme.liquid; "app_embed": the merchant activates
+  // the theme app extension's embed block and we only check it (theme files are never edited)
+  installMode: "theme",
+  gtmId: "",
+  eventPrefix: "",
+  formattedItemId: true,
+  dataSchema: {
+    ecommerce: {
+      show: true,
+    },
+    dynamicRemarketing: {
+      show: false,
+      business_vertical: "retail",
+    },
+  },
+  addToWishListSelectors: {
+    addWishListIcon: "",
+    gridItemSelector: "",
+    productLinkSelector: 'a[href*="/products/"]',
+  },
+  quickViewSelector: {
+    quickViewElement: "",
+    gridItemSelector: "",
+    productLinkSelector: 'a[href*="/products/"]',
+  },
+  miniCartButton: ['a[href="/cart"]'],
+  miniCartAppersOn: "click",
+  beginCheckoutButtons: [
+    'input[name="checkout"]',
+    'button[name="checkout"]',
+    'a[href="/checkout"]',
+    ".additional-checkout-buttons",
+  ],
+  shopifyDirectCheckoutButton: [".shopify-payment-button"],
+  isAddToCartRedirect: false,
+  isAjaxCartIncrementDecrement: true,
+  // Checkout pixel: append the _gcl_aw click id to page_location
+  gclidWithPageLocation: true,
+  // Google Consent Mode v2 (default states are emitted before the GTM loader)
+  consent: {
+    enabled: false,
+    defaults: [
+      { region: CONSENT_EEA_REGIONS, ...consentStates("denied") },
+      { region: [], ...consentStates("granted") },
+    ],
+    waitForUpdate: 500,
+    adsDataRedaction: true,
+  },
+  // Server-side purchase forwarding (GA4 Measurement Protocol)
+  ga4: {
+    enabled: false,
+    measurementId: "",
+    apiSecret: "",
+  },
+};
+
+export const BUSINESS_VERTICALS = ["retail", "education", "flights", "hotel_rental", "jobs", "local", "real_estate", "travel", "custom"];
+export const MINI_CART_TRIGGERS = ["click", "hover"];
+export const INSTALL_MODES = ["theme", "app_embed"];
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function expectBoolean(value, name) {
+  if (typeof value !== "boolean") throw new Error(`${name} must be true or false`);
+  return value;
+}
+
+function expectString(value, name, maxLength = 500) {
+  if (typeof value !== "string") throw new Error(`${name} must be a string`);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) throw new Error(`${name} is too long (max ${maxLength} characters)`);
+  return trimmed;
+}
+
+function expectSelectorList(value, name) {
+  if (!Array.isArray(value)) throw new Error(`${name} must be an array of CSS selectors`);
+  if (value.length > 50) throw new Error(`${name} accepts at most 50 selectors`);
+  return value.map((s, i) => expectString(s, `${name}[${i}]`)).filter(Boolean);
+}
+
+function expectSelectorMap(value, base, name) {
+  if (!isPlainObject(value)) throw new Error(`${name} must be an object`);
+  const out = { ...base };
+  for (const key of Object.keys(value)) {
+    if (!(key in base)) throw new Error(`Unknown setting: ${name}.${key}`);
+    out[key] = expectString(value[key], `${name}.${key}`);
+  }
+  return out;
+}
+
+// [{ region: ["DE", "US-CA"], ad_storage: "denied", ... }] - empty region = everywhere else
+function expectConsentDefaults(value) {
+  if (!Array.isArray(value)) throw new Error("consent.defaults must be an array");
+  if (value.length > 20) throw new Error("consent.defaults accepts at most 20 entries");
+  return value.map((entry, i) => {
+    const name = `consent.defaults[${i}]`;
+    if (!isPlainObject(entry)) throw new Error(`${name} must be an object`);
+    const region = entry.region === undefined ? [] : entry.region;
+    if (!Array.isArray(region) || !region.every((r) => typeof r === "string" && /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(r))) {
+      throw new Error(`${name}.region must be a list of ISO 3166-2 codes (e.g. "DE", "US-CA")`);
+    }
+    const out = { region };
+    for (const type of CONSENT_TYPES) {
+      const state = entry[type] === undefined ? "denied" : entry[type];
+      if (state !== "granted" && state !== "denied") throw new Error(`${name}.${type} must be "granted" or "denied"`);
+      out[type] = state;
+    }
+    for (const k of Object.keys(entry)) {
+      if (k !== "region" && !CONSENT_TYPES.includes(k)) throw new Error(`Unknown setting: ${name}.${k}`);
+    }
+    return out;
+  });
+}
+
+// Merge a (partial) settings patch onto `base`, validating every field.
+// Throws an Error describing the first invalid field.
+export function mergeSettings(base, patch = {}) {
+  if (!isPlainObject(patch)) throw new Error("settings must be an object");
+
+  const out = clone(base);
+  for (const key of Object.keys(patch)) {
+    const value = patch[key];
+    switch (key) {
+      case "installMode":
+        if (!INSTALL_MODES.includes(value)) throw new Error(`installMode must be one of: ${INSTALL_MODES.join(", ")}`);
+        out.installMode = value;
+        break;
+      case "gtmId": {
+        const id = expectString(value, key, 64);
+        if (id && !/^GTM-[A-Za-z0-9_-]+$/.test(id)) throw new Error("Invalid GTM Container ID format");
+        out.gtmId = id;
+        break;
+      }
+      case "eventPrefix": {
+        const prefix = expectString(value, key, 32);
+        if (!/^[A-Za-z0-9_-]*$/.test(prefix)) {
+          throw new Error("eventPrefix may only contain letters, digits, '_' and '-'");
+        }
+        out.eventPrefix = prefix;
+        break;
+      }
+      case "formattedItemId":
+      case "isAddToCartRedirect":
+      case "isAjaxCartIncrementDecrement":
+      case "gclidWithPageLocation":
+        out[key] = expectBoolean(value, key);
+        break;
+      case "dataSchema": {
+        if (!isPlainObject(value)) throw new Error("dataSchema must be an object");
+        if (value.ecommerce !== undefined) {
+          if (!isPlainObject(value.ecommerce)) throw new Error("dataSchema.ecommerce must be an object");
+          if (value.ecommerce.show !== undefined) {
+            out.dataSchema.ecommerce.show = expectBoolean(value.ecommerce.show, "dataSchema.ecommerce.show");
+          }
+        }
+        if (value.dynamicRemarketing !== undefined) {
+          const dr = value.dynamicRemarketing;
+          if (!isPlainObject(dr)) throw new Error("dataSchema.dynamicRemarketing must be an object");
+          if (dr.show !== undefined) {
+            out.dataSchema.dynamicRemarketing.show = expectBoolean(dr.show, "dataSchema.dynamicRemarketing.show");
+          }
+          if (dr.business_vertical !== undefined) {
+            if (!BUSINESS_VERTICALS.includes(dr.business_vertical)) {
+              throw new Error(`dataSchema.dynamicRemarketing.business_vertical must be one of: ${BUSINESS_VERTICALS.join(", ")}`);
+            }
+            out.dataSchema.dynamicRemarketing.business_vertical = dr.business_vertical;
+          }
+        }
+        break;
+      }
+      case "addToWishListSelectors":
+      case "quickViewSelector":
+        out[key] = expectSelectorMap(value, out[key], key);
+        break;
+      case "miniCartButton":
+      case "beginCheckoutButtons":
+      case "shopifyDirectCheckoutButton":
+        out[key] = expectSelectorList(value, key);
+        break;
+      case "miniCartAppersOn":
+        if (!MINI_CART_TRIGGERS.includes(value)) {
+          throw new Error(`miniCartAppersOn must be one of: ${MINI_CART_TRIGGERS.join(", ")}`);
+        }
+        out.miniCartAppersOn = value;
+        break;
+      case "consent": {
+        if (!isPlainObject(value)) throw new Error("consent must be an object");
+        for (const k of Object.keys(value)) {
+          if (!(k in out.consent)) throw new Error(`Unknown setting: consent.${k}`);
+        }
+        if (value.enabled !== undefined) out.consent.enabled = expectBoolean(value.enabled, "consent.enabled");
+        if (value.adsDataRedaction !== undefined) {
+          out.consent.adsDataRedaction = expectBoolean(value.adsDataRedaction, "consent.adsDataRedaction");
+        }
+        if (value.waitForUpdate !== undefined) {
+          const ms = value.waitForUpdate;
+          if (!Number.isInteger(ms) || ms < 0 || ms > 10000) {
+            throw new Error("consent.waitForUpdate must be a whole number of milliseconds (0-10000)");
+          }
+          out.consent.waitForUpdate = ms;
+        }
+        if (value.defaults !== undefined) out.consent.defaults = expectConsentDefaults(value.defaults);
+        break;
+      }
+      case "ga4": {
+        if (!isPlainObject(value)) throw new Error("ga4 must be an object");
+        for (const k of Object.keys(value)) {
+          if (!(k in out.ga4)) throw new Error(`Unknown setting: ga4.${k}`);
+        }
+        if (value.enabled !== undefined) out.ga4.enabled = expectBoolean(value.enabled, "ga4.enabled");
+        if (value.measurementId !== undefined) {
+          const id = expectString(value.measurementId, "ga4.measurementId", 32);
+          if (id && !/^G-[A-Z0-9]+$/i.test(id)) throw new Error("Invalid GA4 measurement ID (expected G-XXXXXXX)");
+          out.ga4.measurementId = id;
+        }
+        if (value.apiSecret !== undefined) out.ga4.apiSecret = expectString(value.apiSecret, "ga4.apiSecret", 128);
+        if (out.ga4.enabled && (!out.ga4.measurementId || !out.ga4.apiSecret)) {
+          throw new Error("ga4.measurementId and ga4.apiSecret are required to enable GA4 forwarding");
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown setting: ${key}`);
+    }
+  }
+  return out;
+}
+
+// Settings as returned to the UI: secrets are never echoed back
+export function publicSettings(settings) {
+  const { apiSecret, ...ga4 } = settings.ga4 || {};
+  return { ...settings, ga4: { ...ga4, hasApiSecret: !!apiSecret } };
+}
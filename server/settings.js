@@ -0,0 +1,29 @@
+// server/settings.js — Per-shop snippet configuration (stored in shop_settings)
+import { getShopSettings, saveShopSettings } from "./database.js";
+import { DEFAULT_SETTINGS, mergeSettings } from "./settings-schema.js";
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// Stored settings for a shop, layered over the defaults
+export async function loadSettings(shop) {
+  const stored = await getShopSettings(shop);
+  if (!stored) return clone(DEFAULT_SETTINGS);
+  try {
+    return mergeSettings(DEFAULT_SETTINGS, stored);
+  } catch (_) {
+    // Stored row predates a validation rule - fall back field by field
+    const out = clone(DEFAULT_SETTINGS);
+    for (const key of Object.keys(stored)) {
+      try { Object.assign(out, mergeSettings(out, { [key]: stored[key] })); } catch (_) {}
+    }
+    return out;
+  }
+}
+
+// Apply a patch to the shop's settings and persist the result
+export async function updateSettings(shop, patch) {
+  const current = await loadSettings(shop);
+  const next = mergeSettings(current, patch);
+  await saveShopSettings(shop, next);
+  return next;
+}
@@ -0,0 +1,156 @@
+// server/theme-extension.js — Theme app extension build of the GTM loader + DataLayer snippet
+//
+// Turns the code from server/theme-code.js into an app embed block whose schema exposes the
+// snippet knobs (GTM ID, prefix, toggles) in the theme editor, so nothing in theme.liquid has
+// to be edited. `npm run extension:theme` writes it to extensions/analyticsgtm-theme; deploy
+// it with the Shopify CLI. In "app_embed" install mode the server only checks that the embed
+// is activated (config/settings_data.json).
+import fs from "fs";
+import path from "path";
+import { DEFAULT_SETTINGS, BUSINESS_VERTICALS, MINI_CART_TRIGGERS } from "./settings-schema.js";
+import {
+  UDL_SNIPPET_VERSION,
+  UDL_CONSENT_JS,
+  renderUdlSnippet,
+  buildConsentDefaults,
+  buildGTMBlocks,
+} from "./theme-code.js";
+
+export const THEME_EXTENSION_NAME = "analyticsgtm-theme";
+// Block file name = the handle in the embed's settings_data.json type (shopify://apps/<app>/blocks/<handle>/<uuid>)
+export const THEME_EMBED_HANDLE = "analyticsgtm";
+
+const GTM_ID_PLACEHOLDER = "GTM-ANALYTICSGTM-PLACEHOLDER";
+
+// Ultimate_Shopify_DataLayer constructor lines → Liquid reading the block's settings
+const SNIPPET_KNOBS = {
+  eventPrefix: "{{ block.settings.event_prefix | default: '' | json }}",
+  formattedItemId: "{{ block.settings.formatted_item_id }}",
+  dataSchema:
+    '{"ecommerce":{"show":true},"dynamicRemarketing":{"show":{{ block.settings.dynamic_remarketing }},' +
+    '"business_vertical":{{ block.settings.business_vertical | json }}}}',
+  miniCartAppersOn: "{{ block.settings.mini_cart_trigger | json }}",
+  isAddToCartRedirect: "{{ block.settings.add_to_cart_redirect }}",
+  isAjaxCartIncrementDecrement: "{{ block.settings.ajax_cart }}",
+};
+
+function blockSchema() {
+  const d = DEFAULT_SETTINGS;
+  return {
+    name: "analyticsgtm",
+    target: "head",
+    settings: [
+      { type: "text", id: "gtm_id", label: "GTM container ID", info: "GTM-XXXXXXX. Leave empty to skip the GTM loader." },
+      { type: "checkbox", id: "datalayer", label: "Ultimate DataLayer ecommerce events", default: true },
+      { type: "text", id: "event_prefix", label: "Event prefix", info: "Letters, digits, '_' and '-' (e.g. ac_)" },
+      { type: "checkbox", id: "formatted_item_id", label: "Formatted item ID (shopify_{country}_{product}_{variant})", default: d.formattedItemId },
+      { type: "checkbox", id: "dynamic_remarketing", label: "Dynamic remarketing data", default: d.dataSchema.dynamicRemarketing.show },
+      {
+        type: "select",
+        id: "business_vertical",
+        label: "Business vertical",
+        options: BUSINESS_VERTICALS.map((v) => ({ value: v, label: v })),
+        default: d.dataSchema.dynamicRemarketing.business_vertical,
+      },
+      {
+        type: "select",
+        id: "mini_cart_trigger",
+        label: "Mini cart opens on",
+        options: MINI_CART_TRIGGERS.map((v) => ({ value: v, label: v })),
+        default: d.miniCartAppersOn,
+      },
+      { type: "checkbox", id: "add_to_cart_redirect", label: "Add to Cart redirects to the cart page", default: d.isAddToCartRedirect },
+      { type: "checkbox", id: "ajax_cart", label: "Cart increment/decrement uses AJAX (no page refresh)", default: d.isAjaxCartIncrementDecrement },
+      { type: "checkbox", id: "consent_mode", label: "Google Consent Mode v2 (denied in the EEA/UK/CH until the visitor accepts)", default: false },
+    ],
+  };
+}
+
+// `{% if block.settings.<setting> %}…{% endif %}` around one exact piece of generated code
+function guard(src, piece, setting) {
+  if (!src.includes(piece)) throw new Error(`Theme extension build: code for "${setting}" not found`);
+  return src.replace(piece, () => `{%- if block.settings.${setting} -%}${piece}{%- endif -%}`);
+}
+
+// GTM loader (+ Consent Mode defaults) reading the container ID from the block
+function renderEmbedGTM() {
+  const consent = { ...DEFAULT_SETTINGS.consent, enabled: true };
+  let head = buildGTMBlocks(GTM_ID_PLACEHOLDER, consent).headTag;
+  head = guard(head, buildConsentDefaults(consent), "consent_mode");
+  head = head.replace(GTM_ID_PLACEHOLDER, "{{ block.settings.gtm_id | strip | escape }}");
+  return `{%- if block.settings.gtm_id != blank -%}\n${head}\n{%- endif -%}`;
+}
+
+// The same snippet the Theme Asset API install renders, with the knobs read from the block
+function renderEmbedDataLayer() {
+  let src = renderUdlSnippet({ ...DEFAULT_SETTINGS, consent: { ...DEFAULT_SETTINGS.consent, enabled: true } });
+  src = guard(src, UDL_CONSENT_JS, "consent_mode");
+  for (const [name, liquid] of Object.entries(SNIPPET_KNOBS)) {
+    const re = new RegExp(`^(\\s*this\\.${name} = )[^;\\n]*;`, "m");
+    if (!re.test(src)) throw new Error(`Theme extension build: snippet constructor line not found (${name})`);
+    src = src.replace(re, (_m, lead) => `${lead}${liquid};`);
+  }
+  return `{%- if block.settings.datalayer -%}\n${src}\n{%- endif -%}`;
+}
+
+// { relativePath: content } for the whole extension directory
+export function buildThemeExtension() {
+  const block = [
+    `{%- comment -%} Generated by npm run extension:theme (analyticsgtm ${UDL_SNIPPET_VERSION}) - edit server/theme-code.js instead {%- endcomment -%}`,
+    renderEmbedGTM(),
+    renderEmbedDataLayer(),
+    "{% schema %}",
+    JSON.stringify(blockSchema(), null, 2),
+    "{% endschema %}",
+    "",
+  ].join("\n");
+
+  return {
+    "shopify.extension.toml": `name = "${THEME_EXTENSION_NAME}"\ntype = "theme"\n`,
+    [`blocks/${THEME_EMBED_HANDLE}.liquid`]: block,
+  };
+}
+
+// Write an extension's { relativePath: content } map to `outDir` (created if needed). Returns the written paths.
+export function writeExtensionFiles(outDir, files) {
+  const written = [];
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    written.push(target);
+  }
+  return written;
+}
+
+export function writeThemeExtension(outDir) {
+  return writeExtensionFiles(outDir, buildThemeExtension());
+}
+
+/* ---------- App embed status ---------- */
+
+// config/settings_data.json starts with a /* … */ notice on themes edited in the admin
+function parseSettingsData(text) {
+  return JSON.parse(String(text || "{}").replace(/^\s*\/\*[\s\S]*?\*\//, ""));
+}
+
+// Is our app embed present / activated in a theme's config/settings_data.json?
+export function findAppEmbed(settingsDataText) {
+  const data = parseSettingsData(settingsDataText);
+  // `current` is either the settings object or the name of a preset
+  const current = typeof data.current === "string" ? data.presets?.[data.current] : data.current;
+  const blocks = Object.values(current?.blocks || {});
+  const embed = blocks.find((b) => typeof b?.type === "string" && b.type.includes(`/blocks/${THEME_EMBED_HANDLE}/`));
+  if (!embed) return { found: false, activated: false, gtmId: null };
+  return {
+    found: true,
+    activated: embed.disabled !== true,
+    gtmId: (embed.settings?.gtm_id || "").trim() || null,
+  };
+}
+
+// Theme editor deep link that opens the app embeds panel with ours toggled on
+export function appEmbedActivationUrl(shop, themeId, apiKey) {
+  const activate = apiKey ? `&activateAppId=${encodeURIComponent(`${apiKey}/${THEME_EMBED_HANDLE}`)}` : "";
+  return `https://${shop}/admin/themes/${themeId}/editor?context=apps${activate}`;
+}
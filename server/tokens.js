@@ -0,0 +1,94 @@
+// server/tokens.js — Envelope encryption for Shopify access tokens stored at rest
+//
+// Each token gets its own random data key (AES-256-GCM). The data key is wrapped
+// with the key-encryption key from TOKEN_ENCRYPTION_KEY, so rotating the KEK only
+// re-wraps data keys. Stored format:
+//   enc:v1:<kid>:<wrapIv>.<wrapTag>.<wrappedKey>:<iv>.<tag>.<ciphertext>   (base64url parts)
+import crypto from "crypto";
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+
+// 32-byte key given as 64 hex chars or base64
+function parseKey(value, name) {
+  const raw = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+const keyId = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+// Current key (encrypts) + previous keys (decrypt only, for rotation)
+function loadKeys() {
+  const keys = new Map();
+  let current = null;
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    current = parseKey(process.env.TOKEN_ENCRYPTION_KEY, "TOKEN_ENCRYPTION_KEY");
+    keys.set(keyId(current), current);
+  }
+  for (const value of (process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS || "").split(",").filter((v) => v.trim())) {
+    const key = parseKey(value, "TOKEN_ENCRYPTION_KEY_PREVIOUS");
+    keys.set(keyId(key), key);
+  }
+  return { current, keys };
+}
+
+const b64 = (buf) => buf.toString("base64url");
+const unb64 = (str) => Buffer.from(str, "base64url");
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [b64(iv), b64(cipher.getAuthTag()), b64(ciphertext)].join(".");
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split(".").map(unb64);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+export function hasEncryptionKey() {
+  return !!process.env.TOKEN_ENCRYPTION_KEY;
+}
+
+// Encrypt a token with a fresh data key wrapped by the current KEK
+export function encryptToken(plaintext) {
+  const { current } = loadKeys();
+  if (!current) throw new Error("TOKEN_ENCRYPTION_KEY is not set");
+  const dataKey = crypto.randomBytes(32);
+  return `${PREFIX}${keyId(current)}:${seal(current, dataKey)}:${seal(dataKey, Buffer.from(String(plaintext), "utf8"))}`;
+}
+
+// Decrypt a stored token; plaintext values (rows written before encryption) pass through
+export function decryptToken(stored) {
+  if (!isEncrypted(stored)) return stored;
+  const [kid, wrapped, sealed] = stored.slice(PREFIX.length).split(":");
+  const key = loadKeys().keys.get(kid);
+  if (!key) throw new Error(`No key available for encrypted token (key id ${kid})`);
+  const dataKey = open(key, wrapped);
+  return open(dataKey, sealed).toString("utf8");
+}
+
+// Re-wrap the data key with the current KEK (the token ciphertext is unchanged).
+// Returns null when the value is already wrapped with the current key.
+export function rewrapToken(stored) {
+  const { current, keys } = loadKeys();
+  if (!current) throw new Error("TOKEN_ENCRYPTION_KEY is not set");
+  if (!isEncrypted(stored)) return encryptToken(stored);
+  const [kid, wrapped, sealed] = stored.slice(PREFIX.length).split(":");
+  if (kid === keyId(current)) return null;
+  const key = keys.get(kid);
+  if (!key) throw new Error(`No key available for encrypted token (key id ${kid}); add it to TOKEN_ENCRYPTION_KEY_PREVIOUS`);
+  const dataKey = open(key, wrapped);
+  return `${PREFIX}${keyId(current)}:${seal(current, dataKey)}:${sealed}`;
+}
@@ -0,0 +1,109 @@
+// server/web-pixel.js — App web pixel management through the GraphQL Admin API
+//
+// An app has at most one web pixel per shop (webPixelCreate / webPixelUpdate / webPixelDelete).
+// The pixel code ships in the app's web pixel extension; per shop we only send its settings,
+// the same values custom_pixel.js gets baked in for the manual copy-paste flow.
+// "Disabled" keeps the pixel connected with settings.enabled = "false" (the extension stays
+// silent); delete disconnects it from the shop.
+import { shopifyGraphql, ShopifyValidationError } from "./admin-api.js";
+
+// A mutation's userErrors, mapped to an HTTP status and an actionable message
+export class WebPixelError extends Error {
+  constructor(message, { status = 422, code = null, field = null, userErrors = [] } = {}) {
+    super(message);
+    this.name = "WebPixelError";
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.userErrors = userErrors;
+  }
+}
+
+// ErrorsWebPixelUserErrorCode → [status, hint]
+const USER_ERRORS = {
+  NOT_FOUND: [404, "No web pixel is connected for this app on the shop"],
+  TAKEN: [409, "The app already has a web pixel on this shop; update it instead"],
+  UNABLE_TO_DELETE: [409, "Shopify could not delete the web pixel; retry later"],
+  BLANK: [422, "Web pixel settings are required"],
+  INVALID_SETTINGS: [422, "Settings don't match the web pixel extension's settings definition (deploy the extension first)"],
+  INVALID_RUNTIME_SETTINGS: [422, "Settings don't match the web pixel extension's runtime settings"],
+  INVALID_CONFIGURATION: [422, "The web pixel extension configuration is invalid (check shopify.extension.toml)"],
+};
+
+function assertNoUserErrors(operation, userErrors = []) {
+  if (!userErrors.length) return;
+  const [first] = userErrors;
+  const [status, hint] = USER_ERRORS[first.code] || [422, null];
+  const message = hint ? `${hint} (${first.message})` : `${operation} failed: ${first.message}`;
+  throw new WebPixelError(message, {
+    status,
+    code: first.code || null,
+    field: (first.field || []).join(".") || null,
+    userErrors,
+  });
+}
+
+// Settings come back as a JSON string
+function toPixel(node) {
+  if (!node) return null;
+  let settings = node.settings;
+  if (typeof settings === "string") {
+    try { settings = JSON.parse(settings); } catch (_) {}
+  }
+  return { id: node.id, settings: settings || {} };
+}
+
+const USER_ERROR_FIELDS = "userErrors { code field message }";
+
+// The app's pixel on this shop, or null when none is connected
+export async function getWebPixel(shop, token) {
+  try {
+    const data = await shopifyGraphql(shop, token, `query AppWebPixel { webPixel { id settings } }`);
+    return toPixel(data?.webPixel);
+  } catch (e) {
+    // Shopify answers "No web pixel was found for this app." as a top-level error
+    if (e instanceof ShopifyValidationError && /no web pixel|not found/i.test(e.message)) return null;
+    throw e;
+  }
+}
+
+export async function createWebPixel(shop, token, settings) {
+  const data = await shopifyGraphql(shop, token, `mutation WebPixelCreate($webPixel: WebPixelInput!) {
+    webPixelCreate(webPixel: $webPixel) { ${USER_ERROR_FIELDS} webPixel { id settings } }
+  }`, { webPixel: { settings: JSON.stringify(settings) } });
+  assertNoUserErrors("webPixelCreate", data.webPixelCreate.userErrors);
+  return toPixel(data.webPixelCreate.webPixel);
+}
+
+export async function updateWebPixel(shop, token, id, settings) {
+  const data = await shopifyGraphql(shop, token, `mutation WebPixelUpdate($id: ID!, $webPixel: WebPixelInput!) {
+    webPixelUpdate(id: $id, webPixel: $webPixel) { ${USER_ERROR_FIELDS} webPixel { id settings } }
+  }`, { id, webPixel: { settings: JSON.stringify(settings) } });
+  assertNoUserErrors("webPixelUpdate", data.webPixelUpdate.userErrors);
+  return toPixel(data.webPixelUpdate.webPixel);
+}
+
+export async function deleteWebPixel(shop, token, id) {
+  const data = await shopifyGraphql(shop, token, `mutation WebPixelDelete($id: ID!) {
+    webPixelDelete(id: $id) { ${USER_ERROR_FIELDS} deletedWebPixelId }
+  }`, { id });
+  assertNoUserErrors("webPixelDelete", data.webPixelDelete.userErrors);
+  return data.webPixelDelete.deletedWebPixelId;
+}
+
+// Create the pixel, or update it when the app already has one. Resolves to { mode, pixel }.
+export async function saveWebPixel(shop, token, settings) {
+  const existing = await getWebPixel(shop, token);
+  if (existing) {
+    return { mode: "updated", pixel: await updateWebPixel(shop, token, existing.id, settings) };
+  }
+  try {
+    return { mode: "created", pixel: await createWebPixel(shop, token, settings) };
+  } catch (e) {
+    // Lost a race with another request: update the one that won
+    if (!(e instanceof WebPixelError && e.code === "TAKEN")) throw e;
+    const winner = await getWebPixel(shop, token);
+    if (!winner) throw e;
+    return { mode: "updated", pixel: await updateWebPixel(shop, token, winner.id, settings) };
+  }
+}
@@ -0,0 +1,130 @@
+// server/webhooks.js — Webhook registry: verification, dedup, dispatch and Admin API subscriptions
+//
+// Adding a topic only takes a handler:
+//   onWebhook("orders/create", async ({ shop, payload }) => ({ orderId: payload.id }));
+// The handler's return value is merged into the 200 response body. A handler that throws gets a
+// 500 and its webhook id is released, so Shopify's redelivery runs it again: keep slow or flaky
+// work (Admin API calls, outbound requests) in a job (server/jobs.js) and only queue it here.
+import express from "express";
+import { verifyWebhookHmac, isValidShopDomain } from "./oauth.js";
+import { claimWebhookEvent, releaseWebhookEvent } from "./database.js";
+import { log } from "./logger.js";
+
+const handlers = new Map(); // topic -> { handler, subscribe }
+
+// subscribe: false for topics configured outside the Admin API (e.g. the GDPR compliance webhooks)
+export function onWebhook(topic, handler, { subscribe = true } = {}) {
+  if (handlers.has(topic)) throw new Error(`Webhook handler already registered: ${topic}`);
+  handlers.set(topic, { handler, subscribe });
+}
+
+export const webhookPath = (topic) => `/webhooks/${topic}`;
+
+// Shared middleware: raw body → HMAC → shop domain → replay protection
+const rawBody = express.raw({ type: "application/json", limit: "1mb" });
+
+function verifyWebhook(req, res, next) {
+  req.rawBody = req.body ? req.body.toString() : "";
+
+  const hmacHeader = req.headers["x-shopify-hmac-sha256"];
+  if (!verifyWebhookHmac(req.rawBody, hmacHeader)) {
+    log.warn("Webhook verification failed", { hmac: !!hmacHeader, path: req.path });
+    return res.status(401).send("Webhook verification failed");
+  }
+
+  try {
+    req.webhookPayload = JSON.parse(req.rawBody || "{}");
+  } catch (_) {
+    return res.status(400).json({ ok: false, error: "Invalid JSON payload" });
+  }
+
+  const shop = req.headers["x-shopify-shop-domain"] || req.webhookPayload.shop_domain || req.webhookPayload.domain;
+  if (!shop || !isValidShopDomain(shop)) {
+    log.warn("Invalid shop domain in webhook", { shop });
+    return res.status(400).json({ ok: false, error: "Invalid shop domain" });
+  }
+  req.webhookShop = shop;
+  next();
+}
+
+async function skipDuplicates(req, res, next) {
+  const webhookId = req.headers["x-shopify-webhook-id"];
+  if (!webhookId) return next(); // manual / test deliveries
+  try {
+    const first = await claimWebhookEvent(String(webhookId), req.webhookShop, req.webhookTopic);
+    if (!first) {
+      log.info("Duplicate webhook ignored", { shop: req.webhookShop, topic: req.webhookTopic, webhookId });
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+  } catch (e) {
+    log.error("Webhook dedup check failed", e, { webhookId });
+  }
+  next();
+}
+
+async function dispatch(req, res) {
+  const topic = req.webhookTopic;
+  const shop = req.webhookShop;
+  const webhookId = req.headers["x-shopify-webhook-id"] || null;
+  try {
+    log.shopify.webhook(topic, shop);
+    const result = await handlers.get(topic).handler({
+      shop,
+      topic,
+      payload: req.webhookPayload,
+      webhookId,
+      req,
+    });
+    res.status(200).json({ ok: true, ...(result || {}) });
+  } catch (err) {
+    log.error("Webhook handler error", err, { topic, shop });
+    // Non-2xx makes Shopify redeliver; release the id so the redelivery isn't taken for a duplicate
+    if (webhookId) {
+      await releaseWebhookEvent(String(webhookId)).catch((e) => log.error("Webhook id release failed", e, { webhookId }));
+    }
+    res.status(500).json({ ok: false, error: "internal_error" });
+  }
+}
+
+// POST /webhooks/<resource>/<event> for every registered topic
+export function mountWebhooks(app) {
+  app.post(
+    "/webhooks/:resource/:event",
+    (req, res, next) => {
+      req.webhookTopic = `${req.params.resource}/${req.params.event}`;
+      if (!handlers.has(req.webhookTopic)) return res.status(404).json({ ok: false, error: "Unknown webhook topic" });
+      next();
+    },
+    rawBody,
+    verifyWebhook,
+    skipDuplicates,
+    dispatch
+  );
+}
+
+// Subscribe the shop to every registered topic (run after OAuth). Existing subscriptions are kept;
+// one failing topic (e.g. orders/create without read_orders) doesn't block the others.
+export async function registerWebhooks(shop, token, { host, shopifyFetch }) {
+  const { webhooks = [] } = await shopifyFetch(shop, token, "/webhooks.json", { method: "GET" });
+  const results = [];
+  for (const [topic, { subscribe }] of handlers) {
+    if (!subscribe) continue;
+    const address = `${host}${webhookPath(topic)}`;
+    if (webhooks.some((w) => w.topic === topic && w.address === address)) {
+      results.push({ topic, ok: true, existing: true });
+      continue;
+    }
+    try {
+      await shopifyFetch(shop, token, "/webhooks.json", {
+        method: "POST",
+        body: JSON.stringify({ webhook: { topic, address, format: "json" } }),
+      });
+      log.info("Webhook subscribed", { shop, topic, address });
+      results.push({ topic, ok: true });
+    } catch (e) {
+      log.warn("Webhook subscription failed", { shop, topic, error: e.message });
+      results.push({ topic, ok: false, error: e.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,199 @@
+// test/ga4.test.js — GA4 Measurement Protocol payload + sender (stubbed through setSender)
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPurchasePayload,
+  buildPixelEventPayload,
+  purchaseOrderFields,
+  sendToGA4,
+  setSender,
+  ga4EventName,
+} from "../server/ga4.js";
+
+const order = {
+  id: 5001,
+  created_at: "2024-05-01T10:00:00Z",
+  email: "a@example.com",
+  currency: "EUR",
+  total_price: "59.50",
+  total_tax: "4.50",
+  customer: { id: 77 },
+  note_attributes: [{ name: "_ga", value: "GA1.1.123456789.1700000000" }],
+  discount_codes: [{ code: "SPRING" }],
+  shipping_lines: [{ price: "3.00" }, { price: "2.00" }],
+  line_items: [
+    { product_id: 999, variant_id: 111, sku: "TS-M", title: "T-Shirt", variant_title: "M", price: "25.00", quantity: 2, total_discount: "3.00", vendor: "Acme" },
+  ],
+};
+
+afterEach(() => setSender(null));
+
+test("buildPurchasePayload maps an order to a purchase event", () => {
+  const payload = buildPurchasePayload(order, { countryCode: "DE" });
+  assert.equal(payload.client_id, "123456789.1700000000");
+  assert.equal(payload.user_id, "77");
+  assert.equal(payload.timestamp_micros, Date.parse("2024-05-01T10:00:00Z") * 1000);
+  assert.equal(payload.events.length, 1);
+  const [event] = payload.events;
+  assert.equal(event.name, "purchase");
+  assert.deepEqual({ ...event.params, items: undefined }, {
+    transaction_id: "5001",
+    value: 59.5,
+    tax: 4.5,
+    shipping: 5,
+    currency: "EUR",
+    coupon: "SPRING",
+    items: undefined,
+  });
+  assert.deepEqual(event.params.items, [{
+    item_id: "shopify_DE_999_111",
+    product_id: 999,
+    variant_id: 111,
+    sku: "TS-M",
+    item_name: "T-Shirt",
+    discount: 3,
+    item_variant: "M",
+    price: 25,
+    quantity: 2,
+    item_brand: "Acme",
+  }]);
+});
+
+test("buildPurchasePayload: product ids when formattedItemId is off, shipping from total_shipping_price_set", () => {
+  const payload = buildPurchasePayload(
+    { ...order, total_shipping_price_set: { shop_money: { amount: "7.25" } } },
+    { formattedItemId: false }
+  );
+  assert.equal(payload.events[0].params.items[0].item_id, 999);
+  assert.equal(payload.events[0].params.shipping, 7.25);
+});
+
+test("buildPurchasePayload derives a stable client_id without a _ga note attribute", () => {
+  const bare = { ...order, note_attributes: [] };
+  const a = buildPurchasePayload(bare).client_id;
+  assert.match(a, /^\d+\.\d+$/);
+  assert.equal(buildPurchasePayload(bare).client_id, a);
+  assert.ok(a.endsWith(`.${Date.parse(order.created_at) / 1000}`));
+});
+
+test("purchaseOrderFields keeps what the purchase payload needs and no contact data", () => {
+  const full = {
+    ...order,
+    phone: "+100",
+    customer: { id: 77, email: "a@example.com", first_name: "A" },
+    billing_address: { address1: "1 Main St" },
+    note_attributes: [...order.note_attributes, { name: "gift_note", value: "hi" }],
+  };
+  const kept = purchaseOrderFields(full);
+  assert.deepEqual(buildPurchasePayload(kept, { countryCode: "DE" }), buildPurchasePayload(full, { countryCode: "DE" }));
+  assert.deepEqual(buildPurchasePayload(purchaseOrderFields({ ...full, note_attributes: [] })), buildPurchasePayload({ ...full, note_attributes: [] }));
+  assert.equal(kept.email, undefined);
+  assert.equal(kept.phone, undefined);
+  assert.equal(kept.billing_address, undefined);
+  assert.deepEqual(kept.customer, { id: 77 });
+  assert.deepEqual(kept.note_attributes, [{ name: "_ga", value: "GA1.1.123456789.1700000000" }]);
+});
+
+test("event prefixes are turned into valid GA4 event names", () => {
+  assert.equal(buildPurchasePayload(order, { eventPrefix: "ac_" }).events[0].name, "ac_purchase");
+  assert.equal(buildPurchasePayload(order, { eventPrefix: "ac-" }).events[0].name, "ac_purchase");
+  assert.equal(ga4EventName("1-shop-purchase"), "shop_purchase");
+  assert.equal(ga4EventName("a".repeat(50)).length, 40);
+});
+
+test("sendToGA4 posts the payload to /mp/collect through the sender", async () => {
+  const calls = [];
+  setSender(async (url, opts) => {
+    calls.push({ url, opts });
+    return { status: 204, ok: true, text: "" };
+  });
+  const payload = buildPurchasePayload(order);
+  const res = await sendToGA4({ measurementId: "G-ABC123", apiSecret: "s3cret", payload, endpoint: "https://ga.test" });
+
+  assert.equal(res.status, 204);
+  assert.equal(calls.length, 1);
+  const url = new URL(calls[0].url);
+  assert.equal(url.origin + url.pathname, "https://ga.test/mp/collect");
+  assert.equal(url.searchParams.get("measurement_id"), "G-ABC123");
+  assert.equal(url.searchParams.get("api_secret"), "s3cret");
+  assert.equal(calls[0].opts.method, "POST");
+  assert.deepEqual(JSON.parse(calls[0].opts.body), payload);
+});
+
+test("sendToGA4 debug mode uses the validation endpoint", async () => {
+  let sentTo;
+  setSender(async (url) => { sentTo = url; return { status: 200, ok: true, text: "{}" }; });
+  await sendToGA4({ measurementId: "G-ABC123", apiSecret: "s", payload: { events: [] }, debug: true, endpoint: "https://ga.test" });
+  assert.ok(sentTo.startsWith("https://ga.test/debug/mp/collect?"));
+});
+
+test("sendToGA4 rejects non-2xx answers with the status and body", async () => {
+  setSender(async () => ({ status: 400, ok: false, text: "bad payload" }));
+  await assert.rejects(
+    sendToGA4({ measurementId: "G-ABC123", apiSecret: "s", payload: { events: [] } }),
+    /returned 400: bad payload/
+  );
+});
+
+test("sendToGA4 validates its configuration before sending", async () => {
+  let called = false;
+  setSender(async () => { called = true; return { status: 204, ok: true, text: "" }; });
+  await assert.rejects(sendToGA4({ measurementId: "UA-1", apiSecret: "s", payload: { events: [] } }), /Invalid GA4 measurement ID/);
+  await assert.rejects(sendToGA4({ measurementId: "G-ABC123", apiSecret: "", payload: { events: [] } }), /Missing GA4 API secret/);
+  assert.equal(called, false);
+});
+
+test("buildPixelEventPayload forwards checkout steps with the prefix and consent", () => {
+  const push = {
+    event: "ac-add_payment_info",
+    page_location: "https://s/checkouts/1",
+    ecommerce: { currency: "EUR", value: 10, items: [{ item_id: "1" }] },
+  };
+  const payload = buildPixelEventPayload(push, {
+    clientId: "1.2",
+    eventPrefix: "ac-",
+    consent: { ad_user_data: "granted", ad_personalization: "denied" },
+  });
+  assert.deepEqual(payload, {
+    client_id: "1.2",
+    consent: { ad_user_data: "GRANTED", ad_personalization: "DENIED" },
+    events: [{
+      name: "ac_add_payment_info",
+      params: { currency: "EUR", value: 10, page_location: "https://s/checkouts/1", items: [{ item_id: "1" }] },
+    }],
+  });
+});
+
+test("buildPixelEventPayload keeps only the allowlisted params of each event", () => {
+  const push = {
+    event: "add_shipping_info",
+    page_location: "https://s/checkouts/1",
+    ecommerce: {
+      currency: "EUR",
+      value: 10,
+      transaction_id: "forged",
+      tax: { nested: true },
+      shipping_tier: "x".repeat(150),
+      items: [{ item_id: "1", price: 5, quantity: 1, item_list_name: "forged", discount: Infinity }],
+    },
+  };
+  const { params } = buildPixelEventPayload(push, { clientId: "1.2" }).events[0];
+  assert.deepEqual(params, {
+    currency: "EUR",
+    value: 10,
+    shipping_tier: "x".repeat(100),
+    page_location: "https://s/checkouts/1",
+    items: [{ item_id: "1", price: 5, quantity: 1 }],
+  });
+  const pageView = buildPixelEventPayload({ event: "page_view", page_location: "https://s/c", ecommerce: { value: 99999 } }, { clientId: "1.2" });
+  assert.deepEqual(pageView.events[0].params, { page_location: "https://s/c" });
+});
+
+test("buildPixelEventPayload leaves purchase to the webhook and drops unknown events", () => {
+  assert.equal(buildPixelEventPayload({ event: "purchase", ecommerce: {} }, { clientId: "1.2" }), null);
+  assert.equal(buildPixelEventPayload({ event: "ac_purchase" }, { clientId: "1.2", eventPrefix: "ac_" }), null);
+  assert.equal(buildPixelEventPayload({ customer: { email: "a@b.c" } }, { clientId: "1.2" }), null);
+  const pageView = buildPixelEventPayload({ event: "page_view", page_location: "https://s/checkouts/1" }, { clientId: "1.2" });
+  assert.deepEqual(pageView.events, [{ name: "page_view", params: { page_location: "https://s/checkouts/1" } }]);
+  assert.equal("consent" in pageView, false);
+});
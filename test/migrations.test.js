@@ -0,0 +1,80 @@
+// test/migrations.test.js — runMigrations on an in-memory database, from the pre-migrations schema
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import { MIGRATIONS, runMigrations, migrationStatus } from "../server/migrations.js";
+
+const quiet = { info() {}, warn() {} };
+
+// What initDatabase created before server/migrations.js existed: the shops table only
+function baselineDatabase() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shops (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop TEXT UNIQUE NOT NULL,
+      access_token TEXT NOT NULL,
+      scope TEXT,
+      installed_at INTEGER DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_shop ON shops(shop)`);
+  db.prepare("INSERT INTO shops (shop, access_token, scope) VALUES (?, ?, ?)").run("a.myshopify.com", "shpat_a", "read_themes");
+  return db;
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+const tables = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((t) => t.name);
+
+test("runMigrations upgrades the baseline schema and keeps its rows", () => {
+  const db = baselineDatabase();
+  const applied = runMigrations(db, { log: quiet });
+  assert.deepEqual(applied, MIGRATIONS.map((m) => m.version));
+
+  for (const table of ["shop_settings", "theme_backups", "installations", "gdpr_requests", "webhook_events", "jobs", "sessions"]) {
+    assert.ok(tables(db).includes(table), `${table} missing`);
+  }
+  assert.ok(columns(db, "installations").includes("datalayer_version"));
+  for (const column of ["access_token_expires_at", "refresh_token", "refresh_token_expires_at"]) {
+    assert.ok(columns(db, "shops").includes(column), `shops.${column} missing`);
+  }
+  assert.deepEqual(
+    db.prepare("SELECT shop, access_token, scope FROM shops").all(),
+    [{ shop: "a.myshopify.com", access_token: "shpat_a", scope: "read_themes" }]
+  );
+});
+
+test("a second runMigrations is a no-op", () => {
+  const db = baselineDatabase();
+  runMigrations(db, { log: quiet });
+  const schema = db.prepare("SELECT sql FROM sqlite_master ORDER BY name").all();
+
+  assert.deepEqual(runMigrations(db, { log: quiet }), []);
+  assert.deepEqual(db.prepare("SELECT sql FROM sqlite_master ORDER BY name").all(), schema);
+  const status = migrationStatus(db);
+  assert.equal(status.current, status.latest);
+  assert.ok(status.migrations.every((m) => m.appliedAt !== null));
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM schema_migrations").get().n, MIGRATIONS.length);
+});
+
+test("migrations 1-5 accept tables created ad hoc before the framework", () => {
+  const db = baselineDatabase();
+  // installations as initDatabase created it, before datalayer_version
+  db.exec(`
+    CREATE TABLE installations (
+      shop TEXT PRIMARY KEY,
+      theme_id TEXT,
+      gtm_id TEXT,
+      datalayer_enabled INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+  db.prepare("INSERT INTO installations (shop, gtm_id) VALUES (?, ?)").run("a.myshopify.com", "GTM-ABC");
+
+  runMigrations(db, { log: quiet });
+  assert.deepEqual(
+    db.prepare("SELECT shop, gtm_id, datalayer_version FROM installations").get(),
+    { shop: "a.myshopify.com", gtm_id: "GTM-ABC", datalayer_version: null }
+  );
+});
@@ -0,0 +1,117 @@
+// test/oauth.test.js — Auth helpers (env is set before server/oauth.js and its database import read it)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+process.env.SHOPIFY_API_KEY = "test-key";
+process.env.SHOPIFY_API_SECRET = "test-secret";
+process.env.DATABASE_PATH = ":memory:";
+const {
+  pixelCollectToken,
+  verifyPixelCollectToken,
+  verifySessionToken,
+  verifySession,
+  SessionTokenError,
+} = await import("../server/oauth.js");
+
+const NOW = Date.parse("2026-01-01T00:00:00Z");
+const nowS = NOW / 1000;
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// App Bridge style session token; override any claim, the header or the signing secret
+function sessionToken(claims = {}, { header = { alg: "HS256", typ: "JWT" }, secret = "test-secret" } = {}) {
+  const body = `${b64(header)}.${b64({
+    iss: "https://a.myshopify.com/admin",
+    dest: "https://a.myshopify.com",
+    aud: "test-key",
+    sub: "42",
+    exp: nowS + 60,
+    nbf: nowS - 1,
+    iat: nowS - 1,
+    sid: "s1",
+    ...claims,
+  })}`;
+  return `${body}.${crypto.createHmac("sha256", secret).update(body).digest("base64url")}`;
+}
+
+const verify = (token) => verifySessionToken(token, { now: NOW });
+
+test("verifySessionToken accepts a valid token and returns its shop and user", () => {
+  assert.deepEqual(verify(sessionToken()), {
+    shop: "a.myshopify.com",
+    userId: "42",
+    sessionId: "s1",
+    expiresAt: new Date((nowS + 60) * 1000).toISOString(),
+  });
+});
+
+test("verifySessionToken rejects a bad signature", () => {
+  assert.throws(() => verify(sessionToken({}, { secret: "other-secret" })), { name: "SessionTokenError", message: /signature/ });
+  const [header, payload] = sessionToken().split(".");
+  const tampered = `${header}.${b64({ ...JSON.parse(Buffer.from(payload, "base64url")), sub: "1" })}.${sessionToken().split(".")[2]}`;
+  assert.throws(() => verify(tampered), /signature/);
+});
+
+test("verifySessionToken only accepts HS256", () => {
+  assert.throws(() => verify(sessionToken({}, { header: { alg: "none", typ: "JWT" } })), /algorithm: none/);
+  assert.throws(() => verify(sessionToken({}, { header: { alg: "RS256", typ: "JWT" } })), /algorithm: RS256/);
+});
+
+test("verifySessionToken rejects an expired exp and a future nbf (beyond 5s of clock skew)", () => {
+  assert.throws(() => verify(sessionToken({ exp: nowS - 10 })), /expired/);
+  assert.throws(() => verify(sessionToken({ exp: undefined })), /expired/);
+  assert.throws(() => verify(sessionToken({ nbf: nowS + 10 })), /not valid yet/);
+  assert.equal(verify(sessionToken({ exp: nowS - 2, nbf: nowS + 2 })).shop, "a.myshopify.com");
+});
+
+test("verifySessionToken rejects a token issued for another app", () => {
+  assert.throws(() => verify(sessionToken({ aud: "other-key" })), /another app/);
+});
+
+test("verifySessionToken rejects iss and dest naming different shops", () => {
+  assert.throws(() => verify(sessionToken({ iss: "https://b.myshopify.com/admin" })), /issuer does not match/);
+  assert.throws(() => verify(sessionToken({ iss: "https://a.myshopify.com/other" })), /issuer does not match/);
+  assert.throws(() => verify(sessionToken({ dest: "https://evil.example.com" })), /invalid dest/);
+  assert.throws(() => verify("not-a-jwt"), SessionTokenError);
+});
+
+// Runs the middleware with a fake request; resolves to { status, body } or "next"
+function runVerifySession({ token = sessionToken({ exp: Math.floor(Date.now() / 1000) + 60, nbf: undefined }), query = {}, body = {} } = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload, headers: this.headers }); },
+    };
+    const req = { headers: { authorization: `Bearer ${token}` }, query, body, method: "GET", path: "/api/test" };
+    verifySession(req, res, (err) => resolve(err || "next"));
+  });
+}
+
+test("verifySession answers 403 when the query or body names another shop than the token", async () => {
+  for (const input of [{ query: { shop: "b.myshopify.com" } }, { body: { shop: "b.myshopify.com" } }]) {
+    const { status, body } = await runVerifySession(input);
+    assert.equal(status, 403);
+    assert.match(body.error, /does not match the session token/);
+  }
+  assert.equal(await runVerifySession({ query: { shop: "a.myshopify.com" } }), "next");
+});
+
+test("verifySession answers 401 with the App Bridge retry header for an invalid token", async () => {
+  const { status, headers } = await runVerifySession({ token: sessionToken({}, { secret: "other-secret" }) });
+  assert.equal(status, 401);
+  assert.equal(headers["X-Shopify-Retry-Invalid-Session-Request"], "1");
+});
+
+test("pixel collect tokens are per shop and checked against the shop they were issued for", () => {
+  const token = pixelCollectToken("a.myshopify.com");
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.equal(pixelCollectToken("a.myshopify.com"), token);
+  assert.notEqual(pixelCollectToken("b.myshopify.com"), token);
+  assert.equal(verifyPixelCollectToken("a.myshopify.com", token), true);
+  assert.equal(verifyPixelCollectToken("b.myshopify.com", token), false);
+  assert.equal(verifyPixelCollectToken("a.myshopify.com", token.slice(1)), false);
+  assert.equal(verifyPixelCollectToken("a.myshopify.com", undefined), false);
+});
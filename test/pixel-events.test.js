@@ -0,0 +1,147 @@
+// test/pixel-events.test.js — Checkout event mapping shared by the custom pixel and the web pixel extension
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CHECKOUT_EVENTS,
+  checkoutItemId,
+  checkoutEcommerce,
+  checkoutEventData,
+  consentState,
+  gaClientId,
+  gclidFromCookie,
+  readCookie,
+  withGclid,
+} from "../server/payloads/pixel-events.js";
+
+const checkout = {
+  order: { id: "gid://shopify/Order/1001" },
+  totalPrice: { amount: 59.5 },
+  totalTax: { amount: 4.5 },
+  shippingLine: { price: { amount: 5 } },
+  currencyCode: "EUR",
+  discountApplications: [{ title: "SPRING" }, { title: "VIP" }],
+  lineItems: [
+    {
+      title: "T-Shirt",
+      quantity: 2,
+      discountAllocations: { amount: { amount: 3 }, discountApplication: { title: "SPRING" } },
+      variant: {
+        id: "111",
+        sku: "TS-M",
+        title: "M / Blue",
+        price: { amount: 25 },
+        product: { id: "999", vendor: "Acme", type: "Shirts" },
+      },
+    },
+  ],
+};
+
+test("CHECKOUT_EVENTS maps Shopify events to GA4 names", () => {
+  assert.equal(CHECKOUT_EVENTS.checkout_completed, "purchase");
+  assert.equal(CHECKOUT_EVENTS.payment_info_submitted, "add_payment_info");
+  assert.equal(CHECKOUT_EVENTS.checkout_shipping_info_submitted, "add_shipping_info");
+});
+
+test("checkoutItemId: formatted shopify_<country>_<product>_<variant>", () => {
+  const item = checkout.lineItems[0];
+  assert.equal(checkoutItemId(item, { formattedItemId: true, countryCode: "DE" }), "shopify_DE_999_111");
+  assert.equal(checkoutItemId(item, { formattedItemId: false, countryCode: "DE" }), "999");
+});
+
+test("checkoutItemId: missing product / variant ids leave empty segments", () => {
+  assert.equal(checkoutItemId({ variant: null }, { formattedItemId: true, countryCode: "US" }), "shopify_US__");
+  assert.equal(checkoutItemId({}, { formattedItemId: false }), undefined);
+});
+
+test("checkoutEcommerce builds the GA4 ecommerce object", () => {
+  const ecommerce = checkoutEcommerce(checkout, { countryCode: "DE" });
+  assert.deepEqual(ecommerce, {
+    transaction_id: "gid://shopify/Order/1001",
+    value: 59.5,
+    tax: 4.5,
+    shipping: 5,
+    currency: "EUR",
+    coupon: "SPRING,VIP",
+    items: [
+      {
+        item_id: "shopify_DE_999_111",
+        product_id: "999",
+        variant_id: "111",
+        sku: "TS-M",
+        item_name: "T-Shirt",
+        coupon: "SPRING",
+        discount: 3,
+        item_variant: "M / Blue",
+        price: 25,
+        quantity: 2,
+        item_brand: "Acme",
+        item_category: "Shirts",
+      },
+    ],
+  });
+});
+
+test("checkoutEcommerce defaults to formatted ids for US and tolerates an empty checkout", () => {
+  assert.equal(checkoutEcommerce(checkout).items[0].item_id, "shopify_US_999_111");
+  assert.deepEqual(checkoutEcommerce(undefined), {
+    transaction_id: undefined,
+    value: undefined,
+    tax: undefined,
+    shipping: undefined,
+    currency: undefined,
+    coupon: "",
+    items: [],
+  });
+});
+
+test("checkoutEventData prefixes the event name", () => {
+  const data = checkoutEventData("purchase", checkout, { eventPrefix: "ac_", pageLocation: "https://x/checkouts/1", formattedItemId: false });
+  assert.equal(data.event, "ac_purchase");
+  assert.equal(data.page_location, "https://x/checkouts/1");
+  assert.equal(data.ecommerce.items[0].item_id, "999");
+});
+
+test("consentState maps customer privacy to gtag consent states", () => {
+  assert.deepEqual(consentState({ marketingAllowed: true, analyticsProcessingAllowed: false }), {
+    ad_storage: "granted",
+    ad_user_data: "granted",
+    ad_personalization: "granted",
+    analytics_storage: "denied",
+  });
+  assert.deepEqual(consentState(undefined), {
+    ad_storage: "denied",
+    ad_user_data: "denied",
+    ad_personalization: "denied",
+    analytics_storage: "denied",
+  });
+});
+
+test("gclidFromCookie takes the last segment of _gcl_aw", () => {
+  assert.equal(gclidFromCookie("GCL.1700000000.Cj0KCQabc"), "Cj0KCQabc");
+  assert.equal(gclidFromCookie("plain"), "plain");
+  assert.equal(gclidFromCookie(""), null);
+  assert.equal(gclidFromCookie(null), null);
+  assert.equal(gclidFromCookie("GCL.1700000000."), null);
+});
+
+test("readCookie finds a cookie by exact name", () => {
+  const cookies = "a=1; _gcl_aw=GCL.1.xyz; x_gcl_aw=nope";
+  assert.equal(readCookie(cookies, "_gcl_aw"), "GCL.1.xyz");
+  assert.equal(readCookie(cookies, "a"), "1");
+  assert.equal(readCookie(cookies, "missing"), null);
+  assert.equal(readCookie("", "a"), null);
+  assert.equal(readCookie(undefined, "a"), null);
+});
+
+test("withGclid appends gclid with ? or &", () => {
+  assert.equal(withGclid("https://s/checkouts/1", "abc"), "https://s/checkouts/1?gclid=abc");
+  assert.equal(withGclid("https://s/checkouts/1?step=2", "abc"), "https://s/checkouts/1?step=2&gclid=abc");
+  assert.equal(withGclid("https://s/checkouts/1", null), "https://s/checkouts/1");
+});
+
+test("gaClientId extracts <random>.<timestamp> from _ga", () => {
+  assert.equal(gaClientId("GA1.1.123456789.1700000000"), "123456789.1700000000");
+  assert.equal(gaClientId("GA1.2.42.17"), "42.17");
+  assert.equal(gaClientId("garbage"), null);
+  assert.equal(gaClientId(null), null);
+});
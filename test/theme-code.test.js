@@ -0,0 +1,42 @@
+// test/theme-code.test.js — DataLayer snippet: the _ga client ID reaches the cart (→ order note_attributes)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { renderUdlSnippet } from "../server/theme-code.js";
+
+const snippet = renderUdlSnippet();
+
+// The snippet's gaClientIdData() method, run on its own with a stubbed document/fetch
+function runGaClientIdData({ cookie, cart }) {
+  const start = snippet.indexOf("gaClientIdData() {");
+  const end = snippet.indexOf("// add_to_cart, remove_from_cart, search", start);
+  assert.ok(start > 0 && end > start, "gaClientIdData() not found in the snippet");
+  const calls = [];
+  const context = {
+    document: { cookie },
+    fetch: (url, opts) => {
+      calls.push({ url, opts });
+      return Promise.resolve({ json: () => Promise.resolve({ attributes: { _ga: "x" } }) });
+    },
+    setTimeout: () => {},
+  };
+  vm.runInNewContext(`new (class { constructor() { this.cart = cart; } ${snippet.slice(start, end)} })().gaClientIdData()`, { ...context, cart });
+  return calls;
+}
+
+test("the snippet calls gaClientIdData() on every page", () => {
+  assert.match(snippet, /this\.customerData\(\);\s+this\.gaClientIdData\(\);/);
+});
+
+test("gaClientIdData posts the _ga client ID to /cart/update.js as attributes[_ga]", () => {
+  const calls = runGaClientIdData({ cookie: "a=1; _ga=GA1.1.123456789.1700000000; b=2", cart: { attributes: {} } });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "/cart/update.js");
+  assert.equal(calls[0].opts.method, "POST");
+  assert.equal(calls[0].opts.body, "attributes[_ga]=123456789.1700000000");
+});
+
+test("gaClientIdData skips the request when the cart already has it or there is no _ga cookie", () => {
+  assert.equal(runGaClientIdData({ cookie: "_ga=GA1.1.1.2", cart: { attributes: { _ga: "1.2" } } }).length, 0);
+  assert.equal(runGaClientIdData({ cookie: "_gcl_aw=x", cart: { attributes: {} } }).length, 0);
+});
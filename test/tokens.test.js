@@ -0,0 +1,81 @@
+// test/tokens.test.js — Envelope encryption: seal → rotate → decrypt, in server/tokens.js and
+// through the tokens:encrypt / tokens:rotate paths (encryptStoredTokens / rotateTokenKey)
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+process.env.DATABASE_PATH = ":memory:";
+delete process.env.TOKEN_ENCRYPTION_KEY;
+delete process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS;
+
+const { encryptToken, decryptToken, rewrapToken, isEncrypted } = await import("../server/tokens.js");
+const db = await import("../server/database.js");
+
+const newKey = () => crypto.randomBytes(32).toString("hex");
+const kid = (stored) => stored.split(":")[2];
+
+function useKeys(current, previous = []) {
+  if (current) process.env.TOKEN_ENCRYPTION_KEY = current;
+  else delete process.env.TOKEN_ENCRYPTION_KEY;
+  process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS = previous.join(",");
+}
+
+beforeEach(() => useKeys(null));
+
+test("a sealed token survives a key rotation", () => {
+  const k1 = newKey();
+  const k2 = newKey();
+  useKeys(k1);
+  const sealed = encryptToken("shpat_secret");
+  assert.ok(isEncrypted(sealed));
+  assert.ok(!sealed.includes("shpat_secret"));
+  assert.equal(decryptToken(sealed), "shpat_secret");
+
+  useKeys(k2, [k1]);
+  const rotated = rewrapToken(sealed);
+  assert.notEqual(kid(rotated), kid(sealed));
+  assert.equal(rotated.split(":").pop(), sealed.split(":").pop(), "only the data key is re-wrapped");
+  assert.equal(rewrapToken(rotated), null, "already on the current key");
+
+  useKeys(k2);
+  assert.equal(decryptToken(rotated), "shpat_secret");
+  assert.throws(() => decryptToken(sealed), /No key available/);
+  assert.throws(() => rewrapToken(sealed), /TOKEN_ENCRYPTION_KEY_PREVIOUS/);
+});
+
+test("plaintext values pass through decryptToken and get sealed by rewrapToken", () => {
+  useKeys(newKey());
+  assert.equal(decryptToken("shpat_plain"), "shpat_plain");
+  assert.equal(decryptToken(rewrapToken("shpat_plain")), "shpat_plain");
+});
+
+test("encryptStoredTokens and rotateTokenKey cover shops, sessions and the GA4 API secret", async () => {
+  const raw = db.getDatabase();
+  const stored = () => ({
+    shop: raw.prepare("SELECT access_token FROM shops WHERE shop = ?").get("t.myshopify.com").access_token,
+    session: raw.prepare("SELECT access_token FROM sessions WHERE shop = ?").get("t.myshopify.com").access_token,
+    secret: JSON.parse(raw.prepare("SELECT settings FROM shop_settings WHERE shop = ?").get("t.myshopify.com").settings).ga4.apiSecret,
+  });
+
+  // Written before encryption was configured (development)
+  await db.saveShop("t.myshopify.com", "shpat_offline", "read_themes");
+  await db.saveOnlineSession("t.myshopify.com", { userId: "42", accessToken: "shpua_online" });
+  await db.saveShopSettings("t.myshopify.com", { ga4: { enabled: true, apiSecret: "mp-secret" } });
+  assert.deepEqual(stored(), { shop: "shpat_offline", session: "shpua_online", secret: "mp-secret" });
+
+  const k1 = newKey();
+  useKeys(k1);
+  assert.deepEqual(db.encryptStoredTokens(), { total: 3, encrypted: 3 });
+  assert.ok(Object.values(stored()).every(isEncrypted));
+  assert.deepEqual(db.encryptStoredTokens(), { total: 3, encrypted: 0 });
+
+  useKeys(newKey(), [k1]);
+  assert.deepEqual(db.rotateTokenKey(), { total: 3, rotated: 3 });
+  assert.deepEqual(db.rotateTokenKey(), { total: 3, rotated: 0 });
+
+  // Only the new key from here on
+  useKeys(process.env.TOKEN_ENCRYPTION_KEY);
+  assert.equal((await db.getShop("t.myshopify.com")).access_token, "shpat_offline");
+  assert.equal((await db.getOnlineSession("t.myshopify.com", "42")).accessToken, "shpua_online");
+  assert.equal((await db.getShopSettings("t.myshopify.com")).ga4.apiSecret, "mp-secret");
+});